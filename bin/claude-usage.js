@@ -0,0 +1,97 @@
+#!/usr/bin/env node
+// Reads usage from the Claude Usage extension's local API (enable it with the
+// "claudeUsage.api.enabled" setting). Connection details come from api.json,
+// which the polling VS Code window writes with owner-only permissions. Labels
+// and reset times arrive preformatted, so output matches the status bar.
+//
+// VS Code does not put extension scripts on PATH; run it from the installed
+// extension, e.g. via an alias:
+//   alias claude-usage='node ~/.vscode/extensions/syzwatch.claude-usage-statusbar-*/bin/claude-usage.js'
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const os = require("os");
+
+const API_FILE = path.join(os.homedir(), ".claude-swap-backup", "api.json");
+
+const USAGE = `Usage: claude-usage [--short | --json] [--refresh]
+
+  (default)   one line per saved account
+  --short     active account only, e.g. "5h 42% 7d 13%" (for prompts and tmux)
+  --json      raw JSON from the extension
+  --refresh   ask the extension to poll the API before answering`;
+
+function fail(msg) {
+  process.stderr.write(`claude-usage: ${msg}\n`);
+  process.exit(1);
+}
+
+function request(api, method, pathname) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(`${api.url}${pathname}`, {
+      method,
+      headers: { Authorization: `Bearer ${api.token}` },
+      timeout: 15000,
+    }, res => {
+      let body = "";
+      res.on("data", c => { body += c; });
+      res.on("end", () => {
+        let data;
+        try { data = JSON.parse(body); }
+        catch { return reject(new Error(`invalid response (HTTP ${res.statusCode})`)); }
+        if (res.statusCode !== 200) return reject(new Error(data.error || `HTTP ${res.statusCode}`));
+        resolve(data);
+      });
+    });
+    req.on("timeout", () => req.destroy(new Error("timed out")));
+    req.on("error", reject);
+    req.end();
+  });
+}
+
+function windowsText(account) {
+  const parts = Object.values(account?.windows || {})
+    .map(w => `${w.label} ${Math.round(w.utilization)}%`);
+  return parts.length ? parts.join(" ") : "--";
+}
+
+function accountLine(a) {
+  const resets = Object.values(a.windows || {})
+    .filter(w => w.resetsIn)
+    .map(w => `${w.label} ↻ ${w.resetsIn}`)
+    .join(", ");
+  const notes = [a.stale && "stale", a.error].filter(Boolean).join("; ");
+  return `${a.isActive ? "*" : " "} ${a.name.padEnd(28)} ${windowsText(a).padEnd(16)} ${resets}${notes ? `  [${notes}]` : ""}`;
+}
+
+async function main() {
+  const args = new Set(process.argv.slice(2));
+  if (args.has("-h") || args.has("--help")) {
+    console.log(USAGE);
+    return;
+  }
+
+  let api;
+  try { api = JSON.parse(fs.readFileSync(API_FILE, "utf8")); }
+  catch { fail(`no running endpoint (${API_FILE} not found) — set "claudeUsage.api.enabled" in VS Code`); }
+
+  let data;
+  try { data = await request(api, args.has("--refresh") ? "POST" : "GET", args.has("--refresh") ? "/v1/refresh" : "/v1/usage"); }
+  catch (e) { fail(`could not reach ${api.url}: ${e.message}`); }
+
+  if (args.has("--json")) {
+    console.log(JSON.stringify(data, null, 2));
+  } else if (args.has("--short")) {
+    console.log(windowsText(data.active));
+  } else {
+    if (!data.accounts.length) console.log("No usage yet.");
+    data.accounts.forEach(a => console.log(accountLine(a)));
+    if (data.error) console.log(`\nLast poll failed: ${data.error.message || data.error.kind}`);
+    if (args.has("--refresh") && data.backoffUntil && new Date(data.backoffUntil) > Date.now()) {
+      console.log(`\nNot refreshed: API backoff until ${new Date(data.backoffUntil).toLocaleTimeString()}`);
+    }
+  }
+}
+
+main();
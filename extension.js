@@ -1,24 +1,66 @@
 const vscode = require("vscode");
 const fs = require("fs");
 const path = require("path");
+const http = require("http");
 const https = require("https");
 const os = require("os");
+const tls = require("tls");
+const dns = require("dns");
 const crypto = require("crypto");
+const { execFile } = require("child_process");
 
-const POLL_MS = 60_000;
 const HOME = os.homedir();
-const CLAUDE_DIR = path.join(HOME, ".claude");
-const CREDS_FILE = path.join(CLAUDE_DIR, ".credentials.json");
-const CLAUDE_CONFIG_PRIMARY = path.join(CLAUDE_DIR, ".claude.json");
-const CLAUDE_CONFIG_FALLBACK = path.join(HOME, ".claude.json");
+// Resolved from settings / CLAUDE_CONFIG_DIR in resolveClaudePaths().
+let CLAUDE_DIR;
+let CREDS_FILE;
+let CLAUDE_CONFIG_PRIMARY;
+let CLAUDE_CONFIG_FALLBACK;
+let claudeDirSource = "default";
 const SWAP_DIR = path.join(HOME, ".claude-swap-backup");
 const SEQUENCE_FILE = path.join(SWAP_DIR, "sequence.json");
 const CONFIGS_DIR = path.join(SWAP_DIR, "configs");
 const CREDENTIALS_DIR = path.join(SWAP_DIR, "credentials");
+const VAULT_FILE = path.join(SWAP_DIR, "vault.json");
+const VAULT_SECRET_KEY = "claudeUsage.vaultKey";
+const HISTORY_FILE = path.join(SWAP_DIR, "usage-history.jsonl");
+const LEADER_FILE = path.join(SWAP_DIR, "poll-leader.json");
+const USAGE_CACHE_FILE = path.join(SWAP_DIR, "usage-cache.json");
+const REFRESH_REQUEST_FILE = path.join(SWAP_DIR, "refresh-request");
+const API_FILE = path.join(SWAP_DIR, "api.json");
+const TRANSCRIPT_INDEX_FILE = path.join(SWAP_DIR, "transcript-index.json");
+const ACTIVE_TIMELINE_FILE = path.join(SWAP_DIR, "active-timeline.jsonl");
+
+// Overridable so the client can be pointed at local stub servers.
+const USAGE_URL = process.env.CLAUDE_USAGE_API_URL || "https://api.anthropic.com/api/oauth/usage";
+const TOKEN_URL = process.env.CLAUDE_USAGE_TOKEN_URL || "https://console.anthropic.com/v1/oauth/token";
+const OAUTH_CLIENT_ID = "9d1c250a-e61b-44d9-88ed-5944d1962f5e";
+const EXPIRY_SKEW_MS = 60_000;
 
 let statusBarItem;
+let outputChannel;
+let extContext;
 let timer;
+let disposed = false;
 let lastDebugData = null;
+let lastRefresh = null;
+let backoff = { failures: 0, until: 0, reason: null };
+const usageCache = new Map();
+let watchers = [];
+let watchTimer = null;
+const pendingWatchFiles = new Set();
+let credsSnapshot = null;
+const windowId = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+let isLeader = false;
+let coordTimer = null;
+let vaultKey = null;
+let vaultKeyMissing = false;
+const pendingRefreshes = new Map();
+let autoSwitchBusy = false;
+let rollbackOffered = false;
+let lastSwitchMarker = null;
+let historyCache = null;
+let historyStamp = null;
+let historyCompactedAt = 0;
 
 // ─── File helpers ────────────────────────────────────────────────────────────
 
@@ -27,17 +69,319 @@ function readJSON(filePath) {
   catch { return null; }
 }
 
-function writeJSON(filePath, data) {
+function writeFileAtomic(filePath, text) {
   const tmp = filePath + "." + process.pid + ".tmp";
-  fs.writeFileSync(tmp, JSON.stringify(data, null, 2), "utf8");
+  fs.writeFileSync(tmp, text, { encoding: "utf8", mode: 0o600 });
   fs.renameSync(tmp, filePath);
   try { fs.chmodSync(filePath, 0o600); } catch {}
 }
 
+function writeJSON(filePath, data) {
+  writeFileAtomic(filePath, JSON.stringify(data, null, 2));
+}
+
 function ensureDir(dir) {
   fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
 }
 
+// ─── Settings / logging ──────────────────────────────────────────────────────
+
+function cfg() { return vscode.workspace.getConfiguration("claudeUsage"); }
+
+function log(msg) {
+  outputChannel?.appendLine(`[${new Date().toLocaleTimeString()}] ${msg}`);
+}
+
+// ─── Claude config location ──────────────────────────────────────────────────
+//
+// The extension runs on the workspace side (extensionKind "workspace"), so in
+// Remote-SSH, WSL and dev containers HOME is already the remote home. The
+// config dir can still be moved: the claudeConfigDir setting (machine scoped,
+// so each remote keeps its own) wins over CLAUDE_CONFIG_DIR, which wins over
+// ~/.claude — the same precedence Claude Code itself uses for the env var.
+
+function expandHome(p) {
+  return p === "~" || p.startsWith("~/") ? path.join(HOME, p.slice(1)) : p;
+}
+
+function resolveClaudePaths() {
+  const fromSetting = (cfg().get("claudeConfigDir") || "").trim();
+  const fromEnv = (process.env.CLAUDE_CONFIG_DIR || "").trim();
+  const dir = fromSetting || fromEnv;
+  claudeDirSource = fromSetting ? "setting" : fromEnv ? "CLAUDE_CONFIG_DIR" : "default";
+  CLAUDE_DIR = dir ? path.resolve(expandHome(dir)) : path.join(HOME, ".claude");
+  CREDS_FILE = path.join(CLAUDE_DIR, ".credentials.json");
+  CLAUDE_CONFIG_PRIMARY = path.join(CLAUDE_DIR, ".claude.json");
+  // A custom config dir keeps .claude.json inside it; only the default layout
+  // falls back to ~/.claude.json.
+  CLAUDE_CONFIG_FALLBACK = dir ? CLAUDE_CONFIG_PRIMARY : path.join(HOME, ".claude.json");
+}
+
+const REMOTE_NAMES = {
+  "ssh-remote": "SSH",
+  "wsl": "WSL",
+  "dev-container": "Dev Container",
+  "attached-container": "Container",
+  "codespaces": "Codespaces",
+};
+
+function hostLabel() {
+  const remote = vscode.env.remoteName;
+  if (!remote) return `local (${os.hostname()})`;
+  return `${REMOTE_NAMES[remote] || remote}: ${os.hostname()}`;
+}
+
+function displayPath(p) {
+  return p === HOME || p.startsWith(HOME + path.sep) ? "~" + p.slice(HOME.length) : p;
+}
+
+// ─── Vault encryption ────────────────────────────────────────────────────────
+//
+// Backup credentials are sealed with AES-256-GCM. The key lives in VS Code
+// SecretStorage by default, or is derived from a user passphrase (scrypt) when
+// vault.json says so — in that case it only exists in memory once unlocked.
+// Each file is bound to its account number via AAD, so swapping files between
+// accounts is detected as tampering.
+
+const ENC_PREFIX = "csb1:";
+const VAULT_CHECK_TEXT = "claude-usage-vault";
+
+const SCRYPT_PARAMS = { N: 1 << 15, r: 8, p: 1 };
+
+function deriveVaultKey(passphrase, saltB64, { N, r, p } = SCRYPT_PARAMS) {
+  const maxmem = Math.max(64 * 1024 * 1024, 256 * N * r);
+  return crypto.scryptSync(passphrase, Buffer.from(saltB64, "base64"), 32, { N, r, p, maxmem });
+}
+
+function sealText(key, text, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", key, iv);
+  cipher.setAAD(Buffer.from(aad, "utf8"));
+  const ct = Buffer.concat([cipher.update(text, "utf8"), cipher.final()]);
+  return ENC_PREFIX + Buffer.concat([iv, cipher.getAuthTag(), ct]).toString("base64");
+}
+
+// Throws on a wrong key or a modified file — GCM authenticates both.
+function openText(key, sealed, aad) {
+  const buf = Buffer.from(sealed.slice(ENC_PREFIX.length), "base64");
+  if (buf.length < 29) throw new Error("truncated");
+  const decipher = crypto.createDecipheriv("aes-256-gcm", key, buf.subarray(0, 12));
+  decipher.setAAD(Buffer.from(aad, "utf8"));
+  decipher.setAuthTag(buf.subarray(12, 28));
+  return Buffer.concat([decipher.update(buf.subarray(28)), decipher.final()]).toString("utf8");
+}
+
+function isSealed(raw) { return raw.startsWith(ENC_PREFIX); }
+
+function getVaultMeta() { return readJSON(VAULT_FILE) || { version: 1, mode: "secret" }; }
+
+function isPassphraseVault() { return getVaultMeta().mode === "passphrase"; }
+
+function requireVaultKey() {
+  if (vaultKey) return vaultKey;
+  if (isPassphraseVault()) throw new Error("Account vault is locked. Run \"Claude Usage: Unlock Account Vault\" first.");
+  throw new Error(vaultKeyMissing
+    ? "The account vault key is not available in this editor. Run \"Claude Usage: Unlock Account Vault\" for recovery options."
+    : "Account vault key is unavailable (SecretStorage could not be read).");
+}
+
+// True when any backup is already sealed. A fresh key must never be made
+// over these: it would leave them unreadable and re-seal new ones apart.
+function sealedBackupsExist() {
+  let names = [];
+  try { names = fs.readdirSync(CREDENTIALS_DIR); } catch {}
+  return names.some(name => {
+    if (!/^\.creds-\d+\.enc$/.test(name)) return false;
+    try { return isSealed(fs.readFileSync(path.join(CREDENTIALS_DIR, name), "utf8").trim()); }
+    catch { return false; }
+  });
+}
+
+// Whether `key` is the one the vault was sealed with. Vaults written before
+// secret mode kept a check value are tested against their backups instead.
+function keyOpensVault(key, meta) {
+  if (meta.check) {
+    try { openText(key, meta.check, "vault-check"); return true; }
+    catch { return false; }
+  }
+  let names = [];
+  try { names = fs.readdirSync(CREDENTIALS_DIR); } catch {}
+  let sealed = 0;
+  for (const name of names) {
+    const num = /^\.creds-(\d+)\.enc$/.exec(name)?.[1];
+    if (!num) continue;
+    let raw;
+    try { raw = fs.readFileSync(path.join(CREDENTIALS_DIR, name), "utf8").trim(); }
+    catch { continue; }
+    if (!isSealed(raw)) continue;
+    sealed++;
+    try { openText(key, raw, `creds-${num}`); return true; }
+    catch {}
+  }
+  return sealed === 0;
+}
+
+// Several windows can activate for the first time together, so the key is
+// created under the switch lock and read back afterwards: whichever window
+// stored first, every window ends up sealing with the same key. vault.json
+// keeps a check value sealed with it, so an editor with a different secret
+// store (sharing the same backups) sees the key is not its own and stays
+// without one instead of starting a second key.
+async function initVault(context) {
+  vaultKey = null;
+  vaultKeyMissing = false;
+  if (isPassphraseVault()) return;
+  try {
+    let stored = await context.secrets.get(VAULT_SECRET_KEY);
+    let meta = getVaultMeta();
+    if (!stored || !meta.check) {
+      const release = await waitForFileLock(SWITCH_LOCK_FILE, "setting up the account vault");
+      try {
+        meta = getVaultMeta();
+        stored = await context.secrets.get(VAULT_SECRET_KEY);
+        if (meta.mode === "secret" && !stored && !meta.check && !sealedBackupsExist()) {
+          stored = crypto.randomBytes(32).toString("base64");
+          await context.secrets.store(VAULT_SECRET_KEY, stored);
+        }
+        const key = stored ? Buffer.from(stored, "base64") : null;
+        if (meta.mode === "secret" && key && !meta.check && keyOpensVault(key, meta)) {
+          meta = { version: 1, mode: "secret", check: sealText(key, VAULT_CHECK_TEXT, "vault-check") };
+          ensureDir(SWAP_DIR);
+          writeJSON(VAULT_FILE, meta);
+        }
+      } finally {
+        release();
+      }
+    }
+    if (meta.mode === "passphrase") return;
+    const key = stored ? Buffer.from(stored, "base64") : null;
+    if (key && keyOpensVault(key, meta)) {
+      vaultKey = key;
+    } else {
+      vaultKeyMissing = true;
+      log("The account vault was sealed with a key this editor's secret store does not hold; saved accounts stay unreadable here");
+    }
+  } catch (e) {
+    log(`Could not load the vault key: ${e.message}`);
+  }
+}
+
+// Another window changed the vault key (secret store event or vault.json
+// rewrite). A passphrase key stays in use only while it still opens the new
+// check value; otherwise the vault is locked until unlocked again.
+async function reloadVaultKey(context) {
+  const had = !!vaultKey;
+  if (isPassphraseVault()) {
+    try { openText(vaultKey, getVaultMeta().check, "vault-check"); }
+    catch { vaultKey = null; }
+  } else {
+    await initVault(context);
+  }
+  if (had && !vaultKey && isPassphraseVault()) {
+    log("Vault passphrase was changed in another window; the vault is locked");
+    vscode.window.showInformationMessage("Claude Usage: the vault passphrase was changed in another window.", "Unlock").then(choice => {
+      if (choice === "Unlock") vscode.commands.executeCommand("claudeUsage.unlockVault");
+    });
+  }
+}
+
+function tryUnlockVault(passphrase) {
+  const meta = getVaultMeta();
+  if (meta.mode !== "passphrase") return true;
+  const key = deriveVaultKey(passphrase, meta.salt);
+  try { openText(key, meta.check, "vault-check"); }
+  catch { return false; }
+  vaultKey = key;
+  return true;
+}
+
+// Re-encrypts every backup under a new key. An empty passphrase moves the
+// vault back to a SecretStorage-held key. Everything is sealed to temp files
+// first and swapped in under the switch lock; a failed swap puts the old
+// files back, so backups never end up split between two keys. Other windows
+// pick the new key up from the vault.json watcher and secrets.onDidChange.
+async function changeVaultPassphrase(context, passphrase) {
+  initSequenceFile();
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "changing the vault key");
+  const staged = [];
+  try {
+    const data = getSeqData();
+    const plain = {};
+    for (const num of Object.keys(data?.accounts || {})) {
+      const text = readBackupCreds(num);
+      if (text) plain[num] = text;
+    }
+
+    let meta;
+    let key;
+    if (passphrase) {
+      const salt = crypto.randomBytes(16).toString("base64");
+      key = deriveVaultKey(passphrase, salt);
+      meta = { version: 1, mode: "passphrase", salt, check: sealText(key, VAULT_CHECK_TEXT, "vault-check") };
+    } else {
+      key = crypto.randomBytes(32);
+      meta = { version: 1, mode: "secret", check: sealText(key, VAULT_CHECK_TEXT, "vault-check") };
+    }
+
+    ensureDir(CREDENTIALS_DIR);
+    for (const [num, text] of Object.entries(plain)) {
+      const file = path.join(CREDENTIALS_DIR, `.creds-${num}.enc`);
+      const tmp = `${file}.rekey-${windowId}`;
+      fs.writeFileSync(tmp, sealText(key, text, `creds-${num}`), { encoding: "utf8", mode: 0o600 });
+      staged.push({ file, tmp, old: fs.readFileSync(file, "utf8") });
+    }
+
+    const oldMeta = fs.existsSync(VAULT_FILE) ? fs.readFileSync(VAULT_FILE, "utf8") : null;
+    const swapped = [];
+    try {
+      for (const entry of staged) { fs.renameSync(entry.tmp, entry.file); swapped.push(entry); }
+      ensureDir(SWAP_DIR);
+      writeJSON(VAULT_FILE, meta);
+      if (!passphrase) await context.secrets.store(VAULT_SECRET_KEY, key.toString("base64"));
+    } catch (e) {
+      for (const entry of swapped) {
+        try { fs.writeFileSync(entry.file, entry.old, "utf8"); }
+        catch (re) { log(`Could not restore ${entry.file}: ${re.message}`); }
+      }
+      try {
+        if (oldMeta === null) fs.unlinkSync(VAULT_FILE);
+        else writeFileAtomic(VAULT_FILE, oldMeta);
+      } catch {}
+      throw e;
+    }
+    vaultKey = key;
+    vaultKeyMissing = false;
+    if (passphrase) {
+      try { await context.secrets.delete(VAULT_SECRET_KEY); }
+      catch (e) { log(`Could not delete the old vault key from the secret store: ${e.message}`); }
+    }
+  } finally {
+    for (const { tmp } of staged) { try { fs.unlinkSync(tmp); } catch {} }
+    release();
+  }
+}
+
+// Recovery when the vault key lives in another editor's secret store and
+// cannot be brought over: the sealed backups and everything pointing at them
+// are moved to backups/vault-<time>/ (nothing is deleted), then a fresh vault
+// is set up. Returns the folder the old files went to.
+async function startNewVault(context) {
+  const backupDir = path.join(DOCTOR_BACKUP_DIR, `vault-${new Date().toISOString().replace(/[:.]/g, "-")}`);
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "starting a new account vault");
+  try {
+    ensureDir(backupDir);
+    for (const file of [CREDENTIALS_DIR, CONFIGS_DIR, SEQUENCE_FILE, VAULT_FILE, SWITCH_UNDO_FILE, SWITCH_PENDING_FILE]) {
+      if (fs.existsSync(file)) fs.renameSync(file, path.join(backupDir, path.basename(file)));
+    }
+    await context.secrets.delete(VAULT_SECRET_KEY);
+  } finally {
+    release();
+  }
+  log(`Started a new account vault; the old one was moved to ${backupDir}`);
+  await initVault(context);
+  return backupDir;
+}
+
 // ─── Credential helpers ──────────────────────────────────────────────────────
 
 function readCurrentCredentials() {
@@ -46,8 +390,7 @@ function readCurrentCredentials() {
 }
 
 function writeCurrentCredentials(text) {
-  fs.writeFileSync(CREDS_FILE, text, "utf8");
-  try { fs.chmodSync(CREDS_FILE, 0o600); } catch {}
+  writeFileAtomic(CREDS_FILE, text);
 }
 
 function getToken(credsText) {
@@ -56,18 +399,32 @@ function getToken(credsText) {
 }
 
 // Backup files are keyed by account number only — email is NOT part of the key.
+// Returns null when the backup does not exist; throws when it exists but
+// cannot be decrypted, so callers can surface why.
 function readBackupCreds(num) {
-  try {
-    const raw = fs.readFileSync(path.join(CREDENTIALS_DIR, `.creds-${num}.enc`), "utf8");
-    return Buffer.from(raw, "base64").toString("utf8");
-  } catch { return null; }
+  let raw;
+  try { raw = fs.readFileSync(path.join(CREDENTIALS_DIR, `.creds-${num}.enc`), "utf8").trim(); }
+  catch { return null; }
+
+  if (!isSealed(raw)) {
+    // Legacy base64 file, re-encrypted by migrateBackupEncryption
+    const text = Buffer.from(raw, "base64").toString("utf8");
+    try { JSON.parse(text); }
+    catch { throw new Error(`Backup for Account-${num} is corrupt (unrecognised format)`); }
+    return text;
+  }
+
+  const key = requireVaultKey();
+  try { return openText(key, raw, `creds-${num}`); }
+  catch {
+    throw new Error(`Backup for Account-${num} could not be decrypted — the file was modified or the vault key changed`);
+  }
 }
 
 function writeBackupCreds(num, text) {
+  const sealed = sealText(requireVaultKey(), text, `creds-${num}`);
   ensureDir(CREDENTIALS_DIR);
-  const file = path.join(CREDENTIALS_DIR, `.creds-${num}.enc`);
-  fs.writeFileSync(file, Buffer.from(text, "utf8").toString("base64"), "utf8");
-  try { fs.chmodSync(file, 0o600); } catch {}
+  writeFileAtomic(path.join(CREDENTIALS_DIR, `.creds-${num}.enc`), sealed);
 }
 
 function readBackupConfig(num) {
@@ -78,9 +435,7 @@ function readBackupConfig(num) {
 
 function writeBackupConfig(num, text) {
   ensureDir(CONFIGS_DIR);
-  const file = path.join(CONFIGS_DIR, `.claude-config-${num}.json`);
-  fs.writeFileSync(file, text, "utf8");
-  try { fs.chmodSync(file, 0o600); } catch {}
+  writeFileAtomic(path.join(CONFIGS_DIR, `.claude-config-${num}.json`), text);
 }
 
 // ─── Migration: rename old email-keyed backup files to num-only names ─────────
@@ -102,6 +457,20 @@ function migrateBackupFilenames(data) {
   }
 }
 
+// ─── Migration: encrypt legacy base64 backups in place ───────────────────────
+
+function migrateBackupEncryption(data) {
+  if (!data?.accounts || !vaultKey) return;
+  for (const num of Object.keys(data.accounts)) {
+    const file = path.join(CREDENTIALS_DIR, `.creds-${num}.enc`);
+    try {
+      if (isSealed(fs.readFileSync(file, "utf8").trim())) continue;
+      const text = readBackupCreds(num);
+      if (text) writeBackupCreds(num, text);
+    } catch {}
+  }
+}
+
 // ─── Claude config helpers ───────────────────────────────────────────────────
 
 function getConfigPath() {
@@ -197,6 +566,7 @@ function cleanupOrphanedBackups(data) {
     for (const f of fs.readdirSync(CREDENTIALS_DIR)) {
       if (f.startsWith(".creds-") && !validCreds.has(f)) {
         fs.unlinkSync(path.join(CREDENTIALS_DIR, f));
+        log(`Removed orphaned backup ${f}`);
       }
     }
   } catch {}
@@ -204,292 +574,3609 @@ function cleanupOrphanedBackups(data) {
     for (const f of fs.readdirSync(CONFIGS_DIR)) {
       if (f.startsWith(".claude-config-") && !validConfigs.has(f)) {
         fs.unlinkSync(path.join(CONFIGS_DIR, f));
+        log(`Removed orphaned backup ${f}`);
       }
     }
   } catch {}
 }
 
-// ─── API helpers ─────────────────────────────────────────────────────────────
-
-function apiGet(token, url) {
-  return new Promise(resolve => {
-    const req = https.get(url, {
-      headers: {
-        "Authorization": `Bearer ${token}`,
-        "anthropic-beta": "oauth-2025-04-20",
-        "Content-Type": "application/json"
-      }
-    }, res => {
-      let body = "";
-      res.on("data", c => body += c);
-      res.on("end", () => { try { resolve(JSON.parse(body)); } catch { resolve(null); } });
-    });
-    req.on("error", () => resolve(null));
-    req.setTimeout(8000, () => { req.destroy(); resolve(null); });
-  });
-}
-
-function fetchUsage(token) {
-  return apiGet(token, "https://api.anthropic.com/api/oauth/usage");
-}
-
-// ─── Account management ──────────────────────────────────────────────────────
+// ─── Network routing ─────────────────────────────────────────────────────────
+//
+// Requests honour VS Code's http.proxy, http.proxyAuthorization, http.noProxy
+// and http.proxyStrictSSL, then HTTPS_PROXY / HTTP_PROXY / ALL_PROXY and
+// NO_PROXY from the environment. HTTPS is tunnelled through the proxy with
+// CONNECT; plain HTTP is sent to it as an absolute-URL request. CA files from
+// network.caFiles are trusted on top of Node's bundled roots. The route each
+// request took is kept in a short log for the debug view.
 
-async function saveCurrentAccount() {
-  initSequenceFile();
-  const credsText = readCurrentCredentials();
-  if (!credsText) throw new Error("Failed to read credentials");
+const REQUEST_TIMEOUT_MS = 8000;
+const ROUTE_LOG_SIZE = 20;
+const routeLog = [];
+let caCache = { key: null, ca: null };
 
-  const token = getToken(credsText);
-  if (!token) throw new Error("No active credential token found");
+function httpSettings() { return vscode.workspace.getConfiguration("http"); }
 
-  const sub = getSubFromCreds(credsText);
-  if (!sub) throw new Error("Could not determine account identity from token");
+function envVar(...names) {
+  for (const name of names) if (process.env[name]) return process.env[name];
+  return "";
+}
 
-  const data = getSeqData();
-  if (isSaved(data, sub)) throw new Error("This account is already saved");
+function defaultPort(u) { return u.port || (u.protocol === "https:" ? "443" : "80"); }
 
-  const num = nextNum(data);
-  const configPath = getConfigPath();
-  const configText = fs.readFileSync(configPath, "utf8");
+// NO_PROXY entries: "*", "host", ".domain" or "*.domain", each with an optional :port.
+function noProxyMatches(entry, target) {
+  if (entry === "*") return true;
+  const [host, port] = entry.toLowerCase().split(/:(?=\d+$)/);
+  if (port && port !== defaultPort(target)) return false;
+  const bare = host.replace(/^\*?\./, "");
+  const name = target.hostname.toLowerCase();
+  return name === bare || name.endsWith("." + bare);
+}
 
-  // Duplicate check by sub (token identity), not email
-  const dup = Object.entries(data.accounts || {}).find(([, a]) => a.sub && a.sub === sub);
-  if (dup) {
-    throw new Error(`Account-${dup[0]} has the same token identity. This appears to be the same account.`);
+// { proxy: URL|null, source } — source names the setting or variable used.
+function proxyFor(target) {
+  let raw = (httpSettings().get("proxy") || "").trim();
+  let source = "http.proxy";
+  if (!raw) {
+    const names = target.protocol === "https:" ? ["HTTPS_PROXY", "https_proxy"] : ["HTTP_PROXY", "http_proxy"];
+    raw = envVar(...names, "ALL_PROXY", "all_proxy");
+    source = names.find(n => process.env[n]) || (raw ? "ALL_PROXY" : null);
   }
+  if (!raw) return { proxy: null, source: null };
 
-  writeBackupCreds(String(num), credsText);
-  writeBackupConfig(String(num), configText);
+  const noProxy = [...(httpSettings().get("noProxy") || []), ...envVar("NO_PROXY", "no_proxy").split(",")]
+    .map(e => e.trim()).filter(Boolean);
+  const bypass = noProxy.find(e => noProxyMatches(e, target));
+  if (bypass) return { proxy: null, source: `NO_PROXY ${bypass}` };
 
-  // Email is stored as a display hint only — it may be incorrect
-  const email = getEmailHintFromCreds(credsText) || "(unknown)";
-  data.accounts[String(num)] = { email, sub, added: getTimestamp() };
-  data.sequence.push(num);
-  data.activeAccountNumber = num;
-  data.lastUpdated = getTimestamp();
-  writeJSON(SEQUENCE_FILE, data);
-  return num;
+  try { return { proxy: new URL(raw.includes("://") ? raw : `http://${raw}`), source }; }
+  catch { return { proxy: null, source: `ignored invalid proxy from ${source}` }; }
 }
 
-async function switchToAccount(targetNum) {
-  const data = getSeqData();
-  if (!data) throw new Error("No managed accounts");
-
-  const tStr = String(targetNum);
-  const tInfo = data.accounts[tStr];
-  if (!tInfo) throw new Error(`Account-${targetNum} not found`);
-
-  const configPath = getConfigPath();
+function proxyAuthorization(proxy) {
+  const explicit = httpSettings().get("proxyAuthorization");
+  if (explicit) return explicit;
+  if (!proxy.username) return null;
+  const user = `${decodeURIComponent(proxy.username)}:${decodeURIComponent(proxy.password)}`;
+  return "Basic " + Buffer.from(user).toString("base64");
+}
 
-  // Detect active account by sub (token identity), not email
-  const currentCredsText = readCurrentCredentials();
-  const currentSub = currentCredsText ? getSubFromCreds(currentCredsText) : null;
-  let currentNum = String(data.activeAccountNumber);
-  if (currentSub) {
-    const match = Object.entries(data.accounts).find(([, a]) => a.sub === currentSub);
-    if (match) currentNum = match[0];
+function tlsOptions(viaProxy) {
+  const files = cfg().get("network.caFiles", []) || [];
+  const key = JSON.stringify(files);
+  if (caCache.key !== key) {
+    const extra = [];
+    for (const file of files) {
+      try { extra.push(fs.readFileSync(expandHome(file), "utf8")); }
+      catch (e) { log(`Could not read CA file ${file}: ${e.message}`); }
+    }
+    caCache = { key, ca: extra.length ? [...tls.rootCertificates, ...extra] : null };
   }
+  const opts = caCache.ca ? { ca: caCache.ca } : {};
+  if (viaProxy && httpSettings().get("proxyStrictSSL", true) === false) opts.rejectUnauthorized = false;
+  return opts;
+}
 
-  // Back up current account before switching
-  if (data.accounts[currentNum]) {
-    const cc = readCurrentCredentials();
-    const cf = fs.readFileSync(configPath, "utf8");
-    if (cc) writeBackupCreds(currentNum, cc);
-    writeBackupConfig(currentNum, cf);
-  }
+function recordRoute(method, u, route, result) {
+  routeLog.push({
+    at: new Date().toISOString(),
+    method,
+    url: `${u.origin}${u.pathname}`,
+    route,
+    status: result.status,
+    ...(result.ok ? {} : { kind: result.kind, message: result.message }),
+  });
+  if (routeLog.length > ROUTE_LOG_SIZE) routeLog.splice(0, routeLog.length - ROUTE_LOG_SIZE);
+}
 
-  const tc = readBackupCreds(tStr);
-  const tf = readBackupConfig(tStr);
-  if (!tc || !tf) throw new Error(`Missing backup data for Account-${targetNum}`);
+// Resolves with a socket tunnelled to target through the proxy.
+function openTunnel(proxy, target) {
+  return new Promise((resolve, reject) => {
+    const hostPort = `${target.hostname}:${defaultPort(target)}`;
+    const auth = proxyAuthorization(proxy);
+    const secure = proxy.protocol === "https:";
+    const req = (secure ? https : http).request({
+      host: proxy.hostname,
+      port: proxy.port || (secure ? 443 : 80),
+      method: "CONNECT",
+      path: hostPort,
+      headers: { Host: hostPort, ...(auth ? { "Proxy-Authorization": auth } : {}) },
+      agent: false,
+      ...(secure ? tlsOptions(true) : {}),
+    });
+    req.on("connect", (res, socket) => {
+      if (res.statusCode === 200) return resolve(socket);
+      socket.destroy();
+      reject(new Error(res.statusCode === 407
+        ? "proxy authentication required (HTTP 407)"
+        : `proxy refused CONNECT (HTTP ${res.statusCode})`));
+    });
+    req.on("error", e => reject(new Error(`proxy ${e.code || e.message}`)));
+    req.setTimeout(REQUEST_TIMEOUT_MS, () => req.destroy(new Error("proxy timed out")));
+    req.end();
+  });
+}
 
-  writeCurrentCredentials(tc);
+// ─── API helpers ─────────────────────────────────────────────────────────────
 
-  const tfData = JSON.parse(tf);
-  const oauth = tfData.oauthAccount;
-  if (!oauth) throw new Error("Invalid backup config: missing oauthAccount");
+// Never rejects. Resolves { ok: true, status, data, route } or
+// { ok: false, status, kind, message, retryAfterMs, data, route }, where kind
+// is one of network | timeout | parse | auth | rate_limit | server | http and
+// status is 0 when no response arrived.
+function apiRequest(url, { method = "GET", headers = {}, body = null } = {}) {
+  return new Promise(resolve => {
+    const u = new URL(url);
+    const payload = body !== null ? JSON.stringify(body) : null;
+    if (payload !== null) headers = { ...headers, "Content-Length": Buffer.byteLength(payload) };
 
-  // Restore oauthAccount as-is — we don't force-correct email since it may be wrong
-  const currentCfg = readJSON(configPath) || {};
-  currentCfg.oauthAccount = oauth;
-  writeJSON(configPath, currentCfg);
+    const { proxy, source } = proxyFor(u);
+    const route = proxy
+      ? `proxy ${proxy.protocol}//${proxy.host} (${u.protocol === "https:" ? "CONNECT tunnel" : "forwarded"}, from ${source})`
+      : source ? `direct (${source})` : "direct";
+    let settled = false;
+    const done = result => {
+      if (settled) return;
+      settled = true;
+      recordRoute(method, u, route, result);
+      resolve({ ...result, route });
+    };
+    const fail = (status, kind, message, extra = {}) =>
+      done({ ok: false, status, kind, message, retryAfterMs: null, data: null, ...extra });
 
-  data.activeAccountNumber = targetNum;
-  data.lastUpdated = getTimestamp();
-  writeJSON(SEQUENCE_FILE, data);
+    const onResponse = res => {
+      let text = "";
+      res.on("data", c => text += c);
+      res.on("end", () => {
+        let data = null;
+        try { data = JSON.parse(text); } catch {}
+        const status = res.statusCode;
+        if (status >= 200 && status < 300) {
+          if (data === null) fail(status, "parse", "Response was not valid JSON");
+          else done({ ok: true, status, data });
+          return;
+        }
+        fail(status, httpErrorKind(status), `HTTP ${status}`, {
+          retryAfterMs: parseRetryAfter(res.headers["retry-after"]),
+          data,
+        });
+      });
+    };
+    const send = (lib, target, options) => {
+      const req = lib.request(target, { method, headers, ...options }, onResponse);
+      req.on("error", e => fail(0, "network", e.code || e.message));
+      req.setTimeout(REQUEST_TIMEOUT_MS, () => { req.destroy(); fail(0, "timeout", "Request timed out"); });
+      if (payload !== null) req.write(payload);
+      req.end();
+    };
 
-  cleanupOrphanedBackups(data);
+    if (!proxy) {
+      send(u.protocol === "http:" ? http : https, u, u.protocol === "https:" ? tlsOptions(false) : {});
+    } else if (u.protocol === "http:") {
+      const auth = proxyAuthorization(proxy);
+      send(proxy.protocol === "https:" ? https : http, proxy, {
+        path: u.href,
+        headers: { ...headers, Host: u.host, ...(auth ? { "Proxy-Authorization": auth } : {}) },
+        ...(proxy.protocol === "https:" ? tlsOptions(true) : {}),
+      });
+    } else {
+      openTunnel(proxy, u).then(socket => {
+        const agent = new https.Agent();
+        agent.createConnection = opts => tls.connect({ ...opts, socket });
+        send(https, u, { agent, servername: u.hostname, ...tlsOptions(true) });
+      }, e => fail(0, "network", e.message));
+    }
+  });
 }
 
-// ─── Tooltip builder ─────────────────────────────────────────────────────────
+function httpErrorKind(status) {
+  if (status === 429) return "rate_limit";
+  if (status === 401 || status === 403) return "auth";
+  if (status >= 500) return "server";
+  return "http";
+}
 
-function timeUntil(iso) {
-  if (!iso) return "?";
-  const ms = new Date(iso) - Date.now();
-  if (ms <= 0) return "now";
-  const h = Math.floor(ms / 3600000);
-  const m = Math.floor((ms % 3600000) / 60000);
-  if (h >= 24) return `${Math.floor(h / 24)}d ${h % 24}h`;
-  if (h > 0) return `${h}h ${m}m`;
-  return `${m}m`;
+// Retry-After is either delta-seconds or an HTTP date.
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const secs = Number(value);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(value);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
 }
 
-function barColor(p) {
-  return p >= 90 ? "#e45649" : p >= 80 ? "#e5a11c" : "#50a14f";
+function apiGet(token, url) {
+  return apiRequest(url, {
+    headers: {
+      "Authorization": `Bearer ${token}`,
+      "anthropic-beta": "oauth-2025-04-20",
+      "Content-Type": "application/json"
+    }
+  });
 }
 
-function barTrack() { return "rgba(127,127,127,0.18)"; }
+// network.baseUrl points the usage call at a gateway or mirror. Every saved
+// account's bearer token goes there, so only https is accepted and the
+// setting is ignored in untrusted workspaces.
+function usageUrl() {
+  const base = (cfg().get("network.baseUrl") || "").trim().replace(/\/+$/, "");
+  if (!base || !vscode.workspace.isTrusted) return USAGE_URL;
+  let u;
+  try { u = new URL(base); } catch { u = null; }
+  if (u?.protocol !== "https:") {
+    log(`Ignoring network.baseUrl ${base}: only https:// URLs are accepted`);
+    return USAGE_URL;
+  }
+  return `${base}/api/oauth/usage`;
+}
 
-function usageRowHtml(label, pct, resetsAt) {
-  const c = pct !== null ? barColor(pct) : "#888";
-  const p = pct !== null ? Math.min(Math.round(pct), 100) : 0;
-  const txt = pct !== null ? Math.round(pct) + "%" : "?";
-  return `<tr>`
-    + `<td style="padding:2px 6px 2px 16px;white-space:nowrap;opacity:0.7;font-size:0.9em">${label}</td>`
-    + `<td style="padding:2px 0;width:120px">`
-    +   `<div style="background:${barTrack()};border-radius:4px;height:6px;width:120px">`
-    +     `<div style="background:${c};height:100%;width:${p}%;border-radius:4px"></div>`
-    +   `</div>`
-    + `</td>`
-    + `<td style="padding:2px 6px;white-space:nowrap;font-weight:600;color:${c};text-align:right;font-size:0.9em">${txt}</td>`
-    + `<td style="padding:2px 0;white-space:nowrap;opacity:0.5;font-size:0.85em">\u21bb ${timeUntil(resetsAt)}</td>`
-    + `</tr>`;
+async function fetchUsage(token) {
+  const res = await apiGet(token, usageUrl());
+  return { status: res.status, usage: res.ok ? res.data : null, error: res.ok ? null : res };
 }
 
-function cmdUri(command, args) {
-  return `command:${command}?${encodeURIComponent(JSON.stringify(args))}`;
+// ─── OAuth token refresh ─────────────────────────────────────────────────────
+//
+// Only inactive (backed-up) accounts are refreshed here. The active account's
+// tokens belong to Claude Code, which rotates them itself — refreshing them
+// behind its back would invalidate the refresh token it holds in memory.
+
+function credsExpired(credsText) {
+  try {
+    const exp = JSON.parse(credsText)?.claudeAiOauth?.expiresAt;
+    return typeof exp === "number" && exp - EXPIRY_SKEW_MS <= Date.now();
+  } catch { return false; }
 }
 
-function accountBlockHtml(num, email, maskedToken, isActive, usage) {
-  const h5 = usage?.five_hour?.utilization ?? null;
-  const d7 = usage?.seven_day?.utilization ?? null;
-  const p5 = h5 !== null ? Math.round(h5) : null;
-  const p7 = d7 !== null ? Math.round(d7) : null;
+// Returns { credsText } on success, { rejected: true } when the refresh token
+// is no longer accepted, or { failed: true } for transient errors.
+async function requestTokenRefresh(credsText) {
+  let parsed;
+  try { parsed = JSON.parse(credsText); } catch { return { rejected: true }; }
+  const oauth = parsed?.claudeAiOauth;
+  if (!oauth?.refreshToken) return { rejected: true };
 
-  const borderLeft = isActive
-    ? `border-left:3px solid #0078d4;`
-    : `border-left:3px solid rgba(127,127,127,0.25);`;
+  const res = await apiRequest(TOKEN_URL, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: { grant_type: "refresh_token", refresh_token: oauth.refreshToken, client_id: OAUTH_CLIENT_ID },
+  });
+  if (res.status === 400 || res.status === 401 || res.status === 403) return { rejected: true };
+  if (!res.ok || !res.data?.access_token) return { failed: true };
 
-  const actionLine = isActive
-    ? `<div style="font-size:0.78em;margin-top:3px;color:#4da3ff;opacity:0.8">&#10003; active</div>`
-    : `<div style="font-size:0.78em;margin-top:3px">`
-      + `<a href="${cmdUri("claudeUsage.switchTo", [num])}" style="opacity:0.65">Switch to this account</a>`
-      + `</div>`;
+  const d = res.data;
+  parsed.claudeAiOauth = {
+    ...oauth,
+    accessToken: d.access_token,
+    refreshToken: d.refresh_token || oauth.refreshToken,
+    expiresAt: d.expires_in ? Date.now() + d.expires_in * 1000 : oauth.expiresAt,
+    ...(d.scope ? { scopes: d.scope.split(" ") } : {}),
+  };
+  return { credsText: JSON.stringify(parsed) };
+}
 
-  let block = `<div style="margin-bottom:8px;border-radius:5px;overflow:hidden;${borderLeft}">`;
+// Refreshes and persists one backup, sharing the in-flight request when two
+// polls overlap.
+function refreshBackupCreds(num, credsText) {
+  num = String(num);
+  if (pendingRefreshes.has(num)) return pendingRefreshes.get(num);
+  const p = (async () => {
+    // Another poll may have rotated it already; the old refresh token is dead
+    const latest = readBackupCreds(num);
+    if (latest && latest !== credsText && !credsExpired(latest)) return { credsText: latest };
 
-  block += `<div style="padding:5px 10px 5px 8px;`
-    + (isActive ? `background:rgba(0,120,212,0.13)` : `background:rgba(127,127,127,0.07)`)
-    + `">`;
+    const result = await requestTokenRefresh(credsText);
+    if (result.credsText) {
+      // Under the switch lock, so a switch never plans from a half-written backup
+      const release = await waitForFileLock(SWITCH_LOCK_FILE, "refreshing a saved account");
+      try {
+        writeBackupCreds(num, result.credsText);
+        // Opaque tokens are identified by fingerprint, which changes on rotation
+        const data = getSeqData();
+        const info = data?.accounts?.[num];
+        const sub = getSubFromCreds(result.credsText);
+        if (info && sub && info.sub !== sub && String(info.sub).startsWith("fp-")) {
+          info.sub = sub;
+          data.lastUpdated = getTimestamp();
+          writeJSON(SEQUENCE_FILE, data);
+        }
+      } finally {
+        release();
+      }
+    }
+    return result;
+  })().finally(() => pendingRefreshes.delete(num));
+  pendingRefreshes.set(num, p);
+  return p;
+}
 
-  // Token is the reliable identity — always show it prominently
-  if (maskedToken) {
-    block += `<div style="font-family:monospace;font-size:0.88em;`
-      + (isActive ? `color:#4da3ff;font-weight:700` : `opacity:0.85;font-weight:600`)
-      + `">${maskedToken}</div>`;
+// Fetches usage for a backed-up account, refreshing its token when it has
+// expired or the API rejects it. authState is one of:
+//   "valid"     token accepted as-is
+//   "refreshed" token was rotated and written back to the backup
+//   "stale"     token expired and the refresh could not reach the server
+//   "relogin"   refresh token rejected — the account needs a fresh login
+async function fetchBackupUsage(num, credsText) {
+  let authState = "valid";
+  const tryRefresh = async () => {
+    const r = await refreshBackupCreds(num, credsText);
+    if (r.credsText) { credsText = r.credsText; authState = "refreshed"; }
+    else authState = r.rejected ? "relogin" : "stale";
+    return !!r.credsText;
+  };
+
+  if (credsExpired(credsText) && !(await tryRefresh())) {
+    return { usage: null, authState, credsText, fetchError: null };
   }
-  // Email is a hint only — may be incorrect
-  if (email) {
-    block += `<div style="font-size:0.78em;opacity:0.5;margin-top:1px">${email}</div>`;
+  let res = await fetchUsage(getToken(credsText));
+  if (res.status === 401 && authState !== "refreshed" && await tryRefresh()) {
+    res = await fetchUsage(getToken(credsText));
   }
-  block += actionLine;
-  block += `</div>`;
-
-  // Usage bars
-  block += `<div style="padding:4px 8px 5px 8px">`;
-  block += `<table style="border-collapse:collapse;width:100%">`;
-  block += usageRowHtml("5h", p5, usage?.five_hour?.resets_at);
-  block += usageRowHtml("7d", p7, usage?.seven_day?.resets_at);
-  block += `</table></div>`;
-
-  block += `</div>`;
-  return block;
+  if (res.status === 401 && authState === "refreshed") authState = "relogin";
+  return { usage: res.usage, authState, credsText, fetchError: res.error };
 }
 
-function buildTooltip(accounts, currentSaved) {
-  const tip = new vscode.MarkdownString();
-  tip.isTrusted = true;
-  tip.supportHtml = true;
-  tip.supportThemeIcons = true;
+// ─── Account management ──────────────────────────────────────────────────────
 
-  const divider = `<div style="font-size:0.82em;opacity:0.3;letter-spacing:2px;margin:6px 0">──────────────────────</div>`;
+async function saveCurrentAccount() {
+  initSequenceFile();
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "saving an account");
+  try {
+    const credsText = readCurrentCredentials();
+    if (!credsText) throw new Error("Failed to read credentials");
 
-  let html = `<div style="padding:2px 0 4px 0"><strong>$(cloud) Claude Accounts</strong></div>`;
-  html += divider;
+    const token = getToken(credsText);
+    if (!token) throw new Error("No active credential token found");
 
-  // Save banner — shown when current account is not yet managed
-  if (!currentSaved) {
-    const uri = cmdUri("claudeUsage.saveAccount", []);
-    html += `<div style="margin-bottom:8px;padding:5px 8px;border-radius:5px;`
-      + `background:rgba(200,150,0,0.12);border:1px solid rgba(200,150,0,0.35);font-size:0.9em">`
-      + `Current account not saved &nbsp;<a href="${uri}"><strong>Save Account</strong></a>`
-      + `</div>`;
-  }
+    const sub = getSubFromCreds(credsText);
+    if (!sub) throw new Error("Could not determine account identity from token");
 
-  if (accounts.length === 0) {
-    html += `<div style="opacity:0.5;font-style:italic;font-size:0.9em">No managed accounts yet.</div>`;
-  }
+    const data = getSeqData();
+    if (isSaved(data, sub)) throw new Error("This account is already saved");
 
-  const active = accounts.filter(a => a.isActive);
-  const others = accounts.filter(a => !a.isActive);
+    const num = nextNum(data);
+    const configPath = getConfigPath();
+    const configText = fs.readFileSync(configPath, "utf8");
 
-  for (const { num, email, maskedToken, isActive, usage } of active) {
-    html += accountBlockHtml(num, email, maskedToken, isActive, usage);
-  }
+    // Duplicate check by sub (token identity), not email
+    const dup = Object.entries(data.accounts || {}).find(([, a]) => a.sub && a.sub === sub);
+    if (dup) {
+      throw new Error(`Account-${dup[0]} has the same token identity. This appears to be the same account.`);
+    }
 
-  if (active.length > 0 && others.length > 0) {
-    html += `<div style="font-size:0.82em;opacity:0.3;letter-spacing:2px;margin:8px 0">──────────────────────</div>`;
-  }
+    writeBackupCreds(String(num), credsText);
+    writeBackupConfig(String(num), configText);
 
-  for (const { num, email, maskedToken, isActive, usage } of others) {
-    html += accountBlockHtml(num, email, maskedToken, isActive, usage);
+    // Email is stored as a display hint only — it may be incorrect
+    const email = getEmailHintFromCreds(credsText) || "(unknown)";
+    data.accounts[String(num)] = { email, sub, added: getTimestamp() };
+    data.sequence.push(num);
+    data.activeAccountNumber = num;
+    data.lastUpdated = getTimestamp();
+    writeJSON(SEQUENCE_FILE, data);
+    return num;
+  } finally {
+    release();
   }
+}
 
-  html += divider;
+// ─── Transactional switching ─────────────────────────────────────────────────
+//
+// A switch is validated completely before any file is touched, runs under a
+// cross-window lock, and records a snapshot of the live credentials and
+// oauthAccount first. The snapshot sits in switch-pending.json while the
+// switch is applied, so a failure (or a crash, detected on next start) can be
+// rolled back; after success it becomes switch-undo.json for "Undo".
 
-  html += `<div style="opacity:0.4;font-size:0.82em">`
-    + `<a href="${cmdUri("claudeUsage.refresh", [])}">$(refresh) Refresh</a>`
-    + `&nbsp;&nbsp;<a href="${cmdUri("claudeUsage.showDebug", [])}">$(bug) Debug</a>`
-    + `</div>`;
+const SWITCH_LOCK_FILE = path.join(SWAP_DIR, "switch.lock");
+const SWITCH_PENDING_FILE = path.join(SWAP_DIR, "switch-pending.json");
+const SWITCH_UNDO_FILE = path.join(SWAP_DIR, "switch-undo.json");
+const SWITCH_MARKER_FILE = path.join(SWAP_DIR, "last-switch.json");
 
-  tip.appendMarkdown(html);
-  return tip;
+// Public marker for other tools (shell prompts, scripts) to watch. Carries
+// no credentials; the account identity is a truncated hash of its sub.
+function writeSwitchMarker(fromNum, toNum, reason) {
+  const data = getSeqData();
+  const info = data?.accounts?.[String(toNum)];
+  const marker = {
+    version: 1,
+    switchedAt: getTimestamp(),
+    reason,
+    from: fromNum ? Number(fromNum) : null,
+    to: toNum ? Number(toNum) : null,
+    label: info ? (info.label || `Account-${toNum}`) : null,
+    identity: info?.sub ? crypto.createHash("sha256").update(info.sub).digest("hex").slice(0, 16) : null,
+  };
+  lastSwitchMarker = JSON.stringify(marker);
+  try { writeJSON(SWITCH_MARKER_FILE, marker); } catch {}
 }
 
-// ─── Debug data builder ──────────────────────────────────────────────────────
+// Another window switched accounts: Claude Code sessions in this window's
+// terminals still run under the previous login. The switching window handles
+// its own terminals, so it skips the marker it wrote itself.
+function onSwitchMarkerChanged() {
+  const marker = readJSON(SWITCH_MARKER_FILE);
+  const text = marker ? JSON.stringify(marker) : null;
+  if (!text || text === lastSwitchMarker) return;
+  lastSwitchMarker = text;
+  const name = marker.label || (marker.to ? `Account-${marker.to}` : "another account");
+  const what = marker.reason === "switch" ? `switched to ${name}` : `restored ${name}`;
+  announceSwitch(`Another window ${what}.`, { onlyWithSessions: true });
+}
 
-function buildDebugData(rows) {
-  const files = {
+// Returns a release function; throws (code ELOCKED) if another live window
+// holds the lock. A stale lock is taken over the way tryAcquireLeadership
+// takes over a lease: moved aside (and put back if it was not the stale one)
+// and replaced by hard-linking a complete file, so two windows that both
+// judged it stale cannot both end up holding it.
+function acquireFileLock(file, what) {
+  ensureDir(SWAP_DIR);
+  const locked = () => Object.assign(new Error(`Another VS Code window is ${what} — try again in a moment`), { code: "ELOCKED" });
+  const tag = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  const holder = readJSON(file);
+  if (holder && !leaseIsLive({ ...holder, heartbeat: holder.at })) {
+    const aside = `${file}.${tag}.stale`;
+    try { fs.renameSync(file, aside); }
+    catch (e) { if (e.code !== "ENOENT") throw e; }
+    if (fs.existsSync(aside)) {
+      const moved = readJSON(aside);
+      if (moved?.id !== holder.id || moved?.at !== holder.at) {
+        try { fs.linkSync(aside, file); } catch {}
+        fs.unlinkSync(aside);
+        throw locked();
+      }
+      fs.unlinkSync(aside);
+    }
+  }
+
+  const tmp = `${file}.${tag}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify({ id: windowId, host: os.hostname(), pid: process.pid, at: Date.now() }), { mode: 0o600 });
+    fs.linkSync(tmp, file);
+  } catch (e) {
+    if (e.code === "EEXIST") throw locked();
+    throw e;
+  } finally {
+    try { fs.unlinkSync(tmp); } catch {}
+  }
+  return () => {
+    try { if (readJSON(file)?.id === windowId) fs.unlinkSync(file); } catch {}
+  };
+}
+
+// For work that has to happen rather than fail: retries while the lock is held.
+async function waitForFileLock(file, what, timeoutMs = 10_000) {
+  const until = Date.now() + timeoutMs;
+  for (;;) {
+    try { return acquireFileLock(file, what); }
+    catch (e) { if (e.code !== "ELOCKED" || Date.now() > until) throw e; }
+    await new Promise(r => setTimeout(r, 200));
+  }
+}
+
+function findLiveAccountNum(data, currentCredsText) {
+  const currentSub = currentCredsText ? getSubFromCreds(currentCredsText) : null;
+  if (currentSub) {
+    const match = Object.entries(data.accounts).find(([, a]) => a.sub === currentSub);
+    if (match) return match[0];
+  }
+  return data.accounts[String(data.activeAccountNumber)] ? String(data.activeAccountNumber) : null;
+}
+
+function planSwitch(data, targetNum) {
+  const tStr = String(targetNum);
+  if (!data.accounts[tStr]) throw new Error(`Account-${targetNum} not found`);
+
+  const configPath = getConfigPath();
+  const currentCfg = readJSON(configPath);
+  if (!currentCfg && fs.existsSync(configPath)) throw new Error(`${configPath} is not valid JSON`);
+
+  const tc = readBackupCreds(tStr);
+  const tf = readBackupConfig(tStr);
+  if (!tc || !tf) throw new Error(`Missing backup data for Account-${targetNum}`);
+  if (!getToken(tc)) throw new Error(`Backup for Account-${targetNum} has no access token`);
+  let tfData;
+  try { tfData = JSON.parse(tf); }
+  catch { throw new Error(`Backup config for Account-${targetNum} is not valid JSON`); }
+  if (!tfData?.oauthAccount) throw new Error("Invalid backup config: missing oauthAccount");
+  requireVaultKey();
+
+  const currentCredsText = readCurrentCredentials();
+  return {
+    targetNum,
+    configPath,
+    currentCfg: currentCfg || {},
+    currentCredsText,
+    // Detect active account by sub (token identity), not email
+    currentNum: findLiveAccountNum(data, currentCredsText),
+    targetCreds: tc,
+    targetOauth: tfData.oauthAccount,
+  };
+}
+
+function takeSwitchSnapshot(data, plan) {
+  return {
+    version: 1,
+    takenAt: getTimestamp(),
+    fromNum: plan.currentNum,
+    toNum: String(plan.targetNum),
+    configPath: plan.configPath,
+    creds: plan.currentCredsText ? sealText(requireVaultKey(), plan.currentCredsText, "switch-snapshot") : null,
+    oauthAccount: plan.currentCfg.oauthAccount ?? null,
+    activeAccountNumber: data.activeAccountNumber ?? null,
+  };
+}
+
+// Attempts every step even if one fails, then reports the first failure.
+function restoreSwitchSnapshot(snap, credsOverride = null) {
+  const creds = credsOverride ?? (snap.creds ? openText(requireVaultKey(), snap.creds, "switch-snapshot") : null);
+  const errors = [];
+  const step = fn => { try { fn(); } catch (e) { errors.push(e); } };
+
+  step(() => {
+    if (creds) writeCurrentCredentials(creds);
+    else if (fs.existsSync(CREDS_FILE)) fs.unlinkSync(CREDS_FILE);
+  });
+  step(() => {
+    const cfgData = readJSON(snap.configPath) || {};
+    if (snap.oauthAccount) cfgData.oauthAccount = snap.oauthAccount;
+    else delete cfgData.oauthAccount;
+    writeJSON(snap.configPath, cfgData);
+  });
+  step(() => {
+    const data = getSeqData();
+    if (!data) return;
+    data.activeAccountNumber = snap.activeAccountNumber;
+    data.lastUpdated = getTimestamp();
+    writeJSON(SEQUENCE_FILE, data);
+  });
+  if (errors.length) throw errors[0];
+}
+
+function applySwitch(data, plan) {
+  // Back up current account before switching
+  if (plan.currentNum) {
+    if (plan.currentCredsText) writeBackupCreds(plan.currentNum, plan.currentCredsText);
+    if (fs.existsSync(plan.configPath)) writeBackupConfig(plan.currentNum, fs.readFileSync(plan.configPath, "utf8"));
+  }
+
+  writeCurrentCredentials(plan.targetCreds);
+
+  // Restore oauthAccount as-is — we don't force-correct email since it may be wrong
+  writeJSON(plan.configPath, { ...plan.currentCfg, oauthAccount: plan.targetOauth });
+
+  data.activeAccountNumber = Number(plan.targetNum);
+  data.lastUpdated = getTimestamp();
+  writeJSON(SEQUENCE_FILE, data);
+}
+
+// Planning happens under the lock so a switch or token refresh in another
+// window cannot leave us applying a plan built from stale files.
+async function switchToAccount(targetNum) {
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "switching accounts");
+  let data;
+  let plan;
+  try {
+    data = getSeqData();
+    if (!data) throw new Error("No managed accounts");
+    plan = planSwitch(data, targetNum);
+    const snap = takeSwitchSnapshot(data, plan);
+    writeJSON(SWITCH_PENDING_FILE, snap);
+    try {
+      applySwitch(data, plan);
+    } catch (e) {
+      try { restoreSwitchSnapshot(snap); }
+      catch (re) { throw new Error(`${e.message}; rollback also failed: ${re.message}`); }
+      try { fs.unlinkSync(SWITCH_PENDING_FILE); } catch {}
+      throw new Error(`${e.message} (changes rolled back)`);
+    }
+    fs.renameSync(SWITCH_PENDING_FILE, SWITCH_UNDO_FILE);
+  } finally {
+    release();
+  }
+
+  writeSwitchMarker(plan.currentNum, plan.targetNum, "switch");
+  cleanupOrphanedBackups(data);
+}
+
+// Restores the state before the last switch, or before an interrupted one
+// when `pending` is set. The live account's credentials are backed up first
+// so tokens it rotated since the switch are kept, and a saved previous
+// account is restored from its backup, which may hold newer tokens than the
+// snapshot.
+async function undoLastSwitch({ pending = false } = {}) {
+  const file = pending ? SWITCH_PENDING_FILE : SWITCH_UNDO_FILE;
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "switching accounts");
+  let snap;
+  try {
+    snap = readJSON(file);
+    if (!snap) throw new Error("There is no account switch to undo");
+    if (snap.creds) openText(requireVaultKey(), snap.creds, "switch-snapshot");
+    const data = getSeqData();
+    const live = readCurrentCredentials();
+    const liveNum = data && live ? findLiveAccountNum(data, live) : null;
+    if (!pending && liveNum && liveNum !== snap.fromNum && getSubFromCreds(live) === data.accounts[liveNum].sub) {
+      writeBackupCreds(liveNum, live);
+    }
+    const fromBackup = !pending && snap.fromNum && data?.accounts?.[snap.fromNum] ? readBackupCreds(snap.fromNum) : null;
+    restoreSwitchSnapshot(snap, fromBackup);
+    fs.unlinkSync(file);
+  } finally {
+    release();
+  }
+  writeSwitchMarker(snap.toNum, snap.fromNum, pending ? "rollback" : "undo");
+  return snap;
+}
+
+// Custom display label; an empty label reverts to the Account-N default.
+function renameAccount(num, label) {
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "renaming an account");
+  try {
+    const data = getSeqData();
+    const info = data?.accounts?.[String(num)];
+    if (!info) throw new Error(`Account-${num} not found`);
+    label = (label || "").trim();
+    if (label) {
+      const clash = Object.entries(data.accounts).find(([n, a]) => n !== String(num) && a.label === label);
+      if (clash) throw new Error(`Account-${clash[0]} already uses the label "${label}"`);
+      info.label = label;
+    } else {
+      delete info.label;
+    }
+    data.lastUpdated = getTimestamp();
+    writeJSON(SEQUENCE_FILE, data);
+  } finally {
+    release();
+  }
+}
+
+// Moves an account within `sequence` by delta positions (clamped).
+function moveAccount(num, delta) {
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "reordering accounts");
+  try {
+    const data = getSeqData();
+    if (!data?.sequence) throw new Error("No managed accounts");
+    num = Number(num);
+    const from = data.sequence.indexOf(num);
+    if (from < 0) throw new Error(`Account-${num} not found`);
+    const to = Math.max(0, Math.min(data.sequence.length - 1, from + delta));
+    if (to === from) return false;
+    data.sequence.splice(from, 1);
+    data.sequence.splice(to, 0, num);
+    data.lastUpdated = getTimestamp();
+    writeJSON(SEQUENCE_FILE, data);
+    return true;
+  } finally {
+    release();
+  }
+}
+
+function removeAccount(num) {
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "removing an account");
+  try {
+    const data = getSeqData();
+    const key = String(num);
+    if (!data?.accounts?.[key]) throw new Error(`Account-${num} not found`);
+    delete data.accounts[key];
+    data.sequence = (data.sequence || []).filter(n => String(n) !== key);
+    if (String(data.activeAccountNumber) === key) data.activeAccountNumber = null;
+    data.lastUpdated = getTimestamp();
+    writeJSON(SEQUENCE_FILE, data);
+    cleanupOrphanedBackups(data);
+  } finally {
+    release();
+  }
+}
+
+// Overwrites an account's backup with the live credentials and config, e.g.
+// after `/login` issued new tokens. Returns { changedIdentity } so the caller
+// can confirm when the live login does not look like the same account.
+function resaveAccount(num, { force = false } = {}) {
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "re-saving an account");
+  try {
+    const data = getSeqData();
+    const key = String(num);
+    const info = data?.accounts?.[key];
+    if (!info) throw new Error(`Account-${num} not found`);
+
+    const credsText = readCurrentCredentials();
+    if (!credsText || !getToken(credsText)) throw new Error("No active credential token found");
+    const sub = getSubFromCreds(credsText);
+    if (!sub) throw new Error("Could not determine account identity from token");
+
+    const other = Object.entries(data.accounts).find(([n, a]) => n !== key && a.sub === sub);
+    if (other) throw new Error(`The current login is already saved as Account-${other[0]}`);
+    if (info.sub && info.sub !== sub && !force) return { changedIdentity: true };
+
+    const configText = fs.readFileSync(getConfigPath(), "utf8");
+    writeBackupCreds(key, credsText);
+    writeBackupConfig(key, configText);
+
+    info.sub = sub;
+    info.email = getEmailHintFromCreds(credsText) || info.email || "(unknown)";
+    info.updated = getTimestamp();
+    data.activeAccountNumber = Number(num);
+    data.lastUpdated = getTimestamp();
+    writeJSON(SEQUENCE_FILE, data);
+    return { changedIdentity: false };
+  } finally {
+    release();
+  }
+}
+
+// ─── Vault export / import ───────────────────────────────────────────────────
+//
+// A bundle is one JSON file: a plain header (format, schema version, scrypt
+// parameters) and the accounts sealed with AES-256-GCM under a key derived
+// from the export passphrase. The header is part of the AAD, so editing it is
+// detected just like editing the ciphertext.
+
+const BUNDLE_FORMAT = "claude-usage-vault";
+const BUNDLE_SCHEMA_VERSION = 1;
+const BUNDLE_MAX_SCRYPT_BYTES = 256 * 1024 * 1024;
+
+function bundleAad(header) {
+  return JSON.stringify({ format: header.format, schemaVersion: header.schemaVersion, kdf: header.kdf });
+}
+
+// The header's scrypt parameters, or null when they are missing or would
+// need an unreasonable amount of memory or time to derive.
+function bundleKdfParams(kdf) {
+  const { N, r, p } = kdf;
+  const ok = [N, r, p].every(Number.isSafeInteger) && N > 1 && (N & (N - 1)) === 0
+    && r > 0 && p > 0 && p <= 16 && 128 * N * r <= BUNDLE_MAX_SCRYPT_BYTES;
+  return ok ? { N, r, p } : null;
+}
+
+function buildExportBundle(nums, passphrase) {
+  const data = getSeqData();
+  const accounts = nums.map(num => {
+    const info = data.accounts[String(num)];
+    const credentials = readBackupCreds(String(num));
+    const config = readBackupConfig(String(num));
+    if (!credentials || !config) throw new Error(`Missing backup data for Account-${num}`);
+    return { sub: info.sub, email: info.email, label: info.label || null, added: info.added || null, credentials, config };
+  });
+
+  const salt = crypto.randomBytes(16).toString("base64");
+  const header = {
+    format: BUNDLE_FORMAT,
+    schemaVersion: BUNDLE_SCHEMA_VERSION,
+    kdf: { name: "scrypt", salt, ...SCRYPT_PARAMS },
+  };
+  const key = deriveVaultKey(passphrase, salt);
+  const payload = JSON.stringify({ exportedAt: getTimestamp(), accounts });
+  return { ...header, createdAt: getTimestamp(), data: sealText(key, payload, bundleAad(header)) };
+}
+
+// Throws on anything it cannot verify: unknown format, newer schema, wrong
+// passphrase, modified file or malformed entries.
+function openImportBundle(text, passphrase) {
+  let bundle;
+  try { bundle = JSON.parse(text); }
+  catch { throw new Error("Not an account bundle (invalid JSON)"); }
+  if (bundle?.format !== BUNDLE_FORMAT) throw new Error("Not an account bundle exported by this extension");
+  if (bundle.schemaVersion !== BUNDLE_SCHEMA_VERSION) {
+    throw new Error(`Unsupported bundle schema version ${bundle.schemaVersion} (expected ${BUNDLE_SCHEMA_VERSION})`);
+  }
+  if (bundle.kdf?.name !== "scrypt" || typeof bundle.kdf.salt !== "string" || typeof bundle.data !== "string" || !isSealed(bundle.data)) {
+    throw new Error("Bundle header is incomplete");
+  }
+  const params = bundleKdfParams(bundle.kdf);
+  if (!params) throw new Error("Bundle uses unsupported scrypt parameters");
+
+  let payload;
+  try {
+    const key = deriveVaultKey(passphrase, bundle.kdf.salt, params);
+    payload = JSON.parse(openText(key, bundle.data, bundleAad(bundle)));
+  } catch {
+    throw new Error("Wrong passphrase, or the bundle was modified");
+  }
+
+  if (!Array.isArray(payload?.accounts)) throw new Error("Bundle contains no account list");
+  // Entries end up in sequence.json and the tooltip, so anything that is not
+  // the string (or, where optional, null) the exporter wrote is refused.
+  const optionalString = v => v === undefined || v === null || typeof v === "string";
+  return payload.accounts.map((a, i) => {
+    if (!a || typeof a !== "object" || typeof a.sub !== "string" || typeof a.credentials !== "string" || typeof a.config !== "string"
+      || !optionalString(a.email) || !optionalString(a.label) || !optionalString(a.added)) {
+      throw new Error(`Bundle entry ${i + 1} is malformed`);
+    }
+    const token = getToken(a.credentials);
+    let oauth = null;
+    try { oauth = JSON.parse(a.config)?.oauthAccount; } catch {}
+    if (!token || !oauth || !a.sub) throw new Error(`Bundle entry ${i + 1} is incomplete`);
+    return a;
+  });
+}
+
+function credsExpiresAt(credsText) {
+  try {
+    const exp = JSON.parse(credsText)?.claudeAiOauth?.expiresAt;
+    return typeof exp === "number" ? exp : 0;
+  } catch { return 0; }
+}
+
+// Adds new accounts and, for subs that are already saved, replaces their
+// backups unless the saved credentials expire later: those carry the newer
+// refresh token, and the older one is most likely already revoked. Returns
+// { added, replaced, kept } account numbers.
+function importAccounts(entries) {
+  initSequenceFile();
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "importing accounts");
+  try {
+    const data = getSeqData();
+    const added = [];
+    const replaced = [];
+    const kept = [];
+    for (const a of entries) {
+      const dup = Object.entries(data.accounts).find(([, info]) => info.sub === a.sub);
+      const num = dup ? dup[0] : String(nextNum(data));
+      if (dup) {
+        let existing = null;
+        try { existing = readBackupCreds(num); } catch {}
+        if (existing && credsExpiresAt(existing) >= credsExpiresAt(a.credentials)) {
+          kept.push(num);
+          continue;
+        }
+      }
+      writeBackupCreds(num, a.credentials);
+      writeBackupConfig(num, a.config);
+      if (dup) {
+        replaced.push(num);
+        continue;
+      }
+      const labelTaken = a.label && Object.values(data.accounts).some(info => info.label === a.label);
+      data.accounts[num] = {
+        email: a.email || "(unknown)",
+        sub: a.sub,
+        ...(a.label && !labelTaken ? { label: a.label } : {}),
+        added: a.added || getTimestamp(),
+        imported: getTimestamp(),
+      };
+      data.sequence.push(Number(num));
+      added.push(num);
+    }
+    data.lastUpdated = getTimestamp();
+    writeJSON(SEQUENCE_FILE, data);
+    return { added, replaced, kept };
+  } finally {
+    release();
+  }
+}
+
+async function askPassphrase(prompt, confirm) {
+  const pass = await vscode.window.showInputBox({
+    prompt,
+    password: true,
+    ignoreFocusOut: true,
+    validateInput: v => confirm && v.length < 8 ? "Use at least 8 characters" : null,
+  });
+  if (!pass || !confirm) return pass;
+  const again = await vscode.window.showInputBox({ prompt: "Repeat passphrase", password: true, ignoreFocusOut: true });
+  if (again === undefined) return undefined;
+  if (again !== pass) throw new Error("Passphrases do not match");
+  return pass;
+}
+
+async function exportAccountsCommand() {
+  const data = getSeqData();
+  const nums = (data?.sequence || []).filter(n => data.accounts[String(n)]);
+  if (!nums.length) throw new Error("No saved accounts to export");
+
+  const picks = await vscode.window.showQuickPick(nums.map(n => ({
+    label: accountDisplayName(n, data.accounts[String(n)]),
+    description: data.accounts[String(n)].email || "",
+    num: n,
+    picked: true,
+  })), { canPickMany: true, placeHolder: "Accounts to export" });
+  if (!picks?.length) return;
+
+  const pass = await askPassphrase("Passphrase to encrypt the bundle with", true);
+  if (!pass) return;
+  const target = await vscode.window.showSaveDialog({
+    defaultUri: vscode.Uri.file(path.join(HOME, "claude-accounts.claudevault")),
+    filters: { "Claude account bundle": ["claudevault"] },
+  });
+  if (!target) return;
+
+  const bundle = buildExportBundle(picks.map(p => p.num), pass);
+  fs.writeFileSync(target.fsPath, JSON.stringify(bundle, null, 2), { encoding: "utf8", mode: 0o600 });
+  vscode.window.showInformationMessage(`Exported ${picks.length} account(s) to ${path.basename(target.fsPath)}.`);
+}
+
+async function importAccountsCommand() {
+  const files = await vscode.window.showOpenDialog({
+    canSelectMany: false,
+    filters: { "Claude account bundle": ["claudevault"], "All files": ["*"] },
+  });
+  if (!files?.length) return;
+  const text = fs.readFileSync(files[0].fsPath, "utf8");
+  const pass = await askPassphrase("Bundle passphrase", false);
+  if (!pass) return;
+  const entries = openImportBundle(text, pass);
+
+  const data = getSeqData();
+  const items = entries.map(a => {
+    const dup = Object.entries(data?.accounts || {}).find(([, info]) => info.sub === a.sub);
+    return {
+      label: a.label || a.email || "(unknown)",
+      description: dup ? `already saved as Account-${dup[0]} — replaces its backup if newer` : "new account",
+      detail: a.label && a.email ? a.email : undefined,
+      entry: a,
+      picked: !isSaved(data, a.sub),
+    };
+  });
+  const picks = await vscode.window.showQuickPick(items, { canPickMany: true, placeHolder: "Accounts to import" });
+  if (!picks?.length) return;
+
+  const { added, replaced, kept } = importAccounts(picks.map(p => p.entry));
+  const parts = [];
+  if (added.length) parts.push(`added ${added.map(n => `Account-${n}`).join(", ")}`);
+  if (replaced.length) parts.push(`updated ${replaced.map(n => `Account-${n}`).join(", ")}`);
+  if (kept.length) parts.push(`kept the newer saved credentials for ${kept.map(n => `Account-${n}`).join(", ")}`);
+  vscode.window.showInformationMessage(`Import complete: ${parts.join("; ")}.`);
+  await refreshAll();
+}
+
+// ─── Account doctor ──────────────────────────────────────────────────────────
+//
+// "Check Accounts" inspects sequence.json, the backups and file permissions.
+// Each finding may carry a repair: the changes it will make (shown as a
+// preview before anything is written) and an apply(fix) step. Repairs edit one
+// shared copy of sequence.json, written once at the end after the original has
+// been copied to backups/doctor-<time>/; files a repair would delete are moved
+// there too, so every repair can be undone by hand.
+
+const DOCTOR_BACKUP_DIR = path.join(SWAP_DIR, "backups");
+const LEGACY_BACKUP_PATTERNS = [
+  [() => CREDENTIALS_DIR, /^\.creds-(\d+)-.+\.enc$/, num => `.creds-${num}.enc`],
+  [() => CONFIGS_DIR, /^\.claude-config-(\d+)-.+\.json$/, num => `.claude-config-${num}.json`],
+];
+
+function readSequenceFile() {
+  let text;
+  try { text = fs.readFileSync(SEQUENCE_FILE, "utf8"); }
+  catch (e) { return { state: e.code === "ENOENT" ? "missing" : "unreadable", error: e.message }; }
+  try { return { state: "ok", data: JSON.parse(text) }; }
+  catch (e) { return { state: "corrupt", error: e.message }; }
+}
+
+function backupPaths(num) {
+  return {
+    creds: path.join(CREDENTIALS_DIR, `.creds-${num}.enc`),
+    config: path.join(CONFIGS_DIR, `.claude-config-${num}.json`),
+  };
+}
+
+// Returns what is wrong with an account's backups, or null.
+function backupProblem(num) {
+  const files = backupPaths(num);
+  if (!fs.existsSync(files.creds)) return "credentials backup is missing";
+  let text;
+  try { text = readBackupCreds(num); }
+  catch (e) { return e.message; }
+  if (!text || !getToken(text)) return "credentials backup has no access token";
+  if (!fs.existsSync(files.config)) return "config backup is missing";
+  if (!readJSON(files.config)?.oauthAccount) return "config backup is unreadable or has no oauthAccount";
+  return null;
+}
+
+// Accounts reconstructable from backup files alone, first backup per sub wins.
+function recoverAccountsFromBackups() {
+  let names = [];
+  try { names = fs.readdirSync(CREDENTIALS_DIR); } catch {}
+  const nums = names.map(f => /^\.creds-(\d+)\.enc$/.exec(f)?.[1]).filter(Boolean).map(Number).sort((a, b) => a - b);
+  const seen = new Set();
+  const recovered = [];
+  for (const num of nums) {
+    if (backupProblem(num)) continue;
+    const text = readBackupCreds(String(num));
+    const sub = getSubFromCreds(text);
+    if (!sub || seen.has(sub)) continue;
+    seen.add(sub);
+    recovered.push({ num, sub, email: getEmailHintFromCreds(text) || "(unknown)" });
+  }
+  return recovered;
+}
+
+function rebuildRepair(recovered, liveSub) {
+  return {
+    label: "Rebuild sequence.json from backups",
+    changes: recovered.map(r => `Add Account-${r.num} (${r.email})`),
+    apply: fix => {
+      const live = recovered.find(r => r.sub === liveSub);
+      fix.data = {
+        activeAccountNumber: live ? live.num : null,
+        lastUpdated: getTimestamp(),
+        sequence: recovered.map(r => r.num),
+        accounts: Object.fromEntries(recovered.map(r => [String(r.num), { email: r.email, sub: r.sub, added: getTimestamp() }])),
+      };
+    },
+  };
+}
+
+function removeAccountRepair(num, why) {
+  return {
+    label: `Remove Account-${num}`,
+    changes: [`Remove Account-${num} from sequence.json${why ? ` (${why})` : ""}`, `Move its backup files to the doctor backup folder`],
+    apply: fix => {
+      const key = String(num);
+      delete fix.data.accounts[key];
+      fix.data.sequence = fix.data.sequence.filter(n => String(n) !== key);
+      if (String(fix.data.activeAccountNumber) === key) fix.data.activeAccountNumber = null;
+      for (const file of Object.values(backupPaths(num))) fix.moveAside(file);
+    },
+  };
+}
+
+// Existing credential-bearing paths with their actual and expected modes.
+// Empty on Windows, where POSIX modes mean nothing.
+function credentialFileModes() {
+  if (process.platform === "win32") return [];
+  const result = [];
+  const check = (p, expected) => {
+    try { result.push({ path: p, mode: fs.statSync(p).mode & 0o777, expected }); } catch {}
+  };
+  [SWAP_DIR, CREDENTIALS_DIR, CONFIGS_DIR].forEach(d => check(d, 0o700));
+  [CREDS_FILE, SEQUENCE_FILE, VAULT_FILE, API_FILE, SWITCH_UNDO_FILE, SWITCH_PENDING_FILE].forEach(f => check(f, 0o600));
+  for (const dir of [CREDENTIALS_DIR, CONFIGS_DIR]) {
+    try { fs.readdirSync(dir).forEach(f => check(path.join(dir, f), 0o600)); } catch {}
+  }
+  return result;
+}
+
+function diagnoseAccounts() {
+  const findings = [];
+  const add = (severity, message, repair = null) => findings.push({ severity, message, repair });
+  const live = readCurrentCredentials();
+  const liveSub = live ? getSubFromCreds(live) : null;
+  const canRead = !!vaultKey;
+  if (!canRead) add("warning", vaultKeyMissing
+    ? "The account vault key is not available in this editor, so saved credentials could not be checked"
+    : "The account vault is locked, so saved credentials could not be checked");
+
+  const seq = readSequenceFile();
+  let data = seq.data;
+  const shapeOk = data && typeof data === "object" && !Array.isArray(data)
+    && data.accounts && typeof data.accounts === "object" && !Array.isArray(data.accounts)
+    && Array.isArray(data.sequence);
+
+  if (seq.state === "missing") {
+    const recovered = canRead ? recoverAccountsFromBackups() : [];
+    if (recovered.length) {
+      add("error", `sequence.json is missing but ${recovered.length} account backup(s) exist`, rebuildRepair(recovered, liveSub));
+    }
+    data = null;
+  } else if (seq.state !== "ok" || typeof data !== "object" || data === null || Array.isArray(data)) {
+    const recovered = canRead ? recoverAccountsFromBackups() : [];
+    add("error", `sequence.json is ${seq.state === "ok" ? "not a JSON object" : seq.state}${seq.error ? ` (${seq.error})` : ""}`,
+      recovered.length ? rebuildRepair(recovered, liveSub) : null);
+    data = null;
+  } else if (!shapeOk) {
+    const missing = ["accounts", "sequence"].filter(k => !(k === "sequence" ? Array.isArray(data[k]) : data[k] && typeof data[k] === "object"));
+    add("error", `sequence.json is missing or has malformed keys: ${missing.join(", ")}`, {
+      label: "Fill in the missing keys",
+      changes: missing.map(k => k === "accounts" ? "Set accounts to {}" : "Rebuild sequence from the account numbers"),
+      apply: fix => {
+        if (!fix.data.accounts || typeof fix.data.accounts !== "object" || Array.isArray(fix.data.accounts)) fix.data.accounts = {};
+        if (!Array.isArray(fix.data.sequence)) fix.data.sequence = Object.keys(fix.data.accounts).map(Number).sort((a, b) => a - b);
+      },
+    });
+    data = null;
+  }
+
+  if (data) {
+    const accounts = data.accounts;
+    const seen = new Set();
+    for (const n of data.sequence) {
+      if (seen.has(String(n))) {
+        add("warning", `Account-${n} appears more than once in the sequence`, {
+          label: `Keep one sequence entry for Account-${n}`,
+          changes: [`Drop repeated ${n} from sequence`],
+          apply: fix => { fix.data.sequence = fix.data.sequence.filter((m, i, all) => all.findIndex(x => String(x) === String(m)) === i); },
+        });
+      } else if (!accounts[String(n)]) {
+        add("error", `Sequence entry ${n} has no account record`, {
+          label: `Drop ${n} from the sequence`,
+          changes: [`Remove ${n} from sequence`],
+          apply: fix => { fix.data.sequence = fix.data.sequence.filter(m => String(m) !== String(n)); },
+        });
+      }
+      seen.add(String(n));
+    }
+
+    const bySub = new Map();
+    for (const [num, info] of Object.entries(accounts)) {
+      const problem = canRead ? backupProblem(num) : null;
+      if (problem) {
+        const isLive = liveSub && info.sub === liveSub;
+        add("error", `Account-${num}: ${problem}`, isLive ? {
+          label: `Re-save Account-${num} from the live login`,
+          changes: [`Overwrite Account-${num}'s backups with the current credentials and config`],
+          apply: () => {
+            writeBackupCreds(num, live);
+            writeBackupConfig(num, fs.readFileSync(getConfigPath(), "utf8"));
+          },
+        } : removeAccountRepair(num, problem));
+        continue;
+      }
+
+      if (!data.sequence.some(n => String(n) === num)) {
+        add("warning", `Account-${num} is not in the sequence, so it never shows up`, {
+          label: `Add Account-${num} to the sequence`,
+          changes: [`Append ${num} to sequence`],
+          apply: fix => { fix.data.sequence.push(Number(num)); },
+        });
+      }
+
+      if (!info.sub) {
+        const text = canRead ? readBackupCreds(num) : null;
+        const sub = text ? getSubFromCreds(text) : null;
+        add("error", `Account-${num} has no identity (sub) recorded`, sub ? {
+          label: `Record Account-${num}'s identity from its backup`,
+          changes: [`Set accounts.${num}.sub`],
+          apply: fix => { if (fix.data.accounts[num]) fix.data.accounts[num].sub = sub; },
+        } : null);
+        continue;
+      }
+      if (!bySub.has(info.sub)) bySub.set(info.sub, []);
+      bySub.get(info.sub).push(num);
+    }
+
+    for (const nums of bySub.values()) {
+      if (nums.length < 2) continue;
+      const keep = nums.find(n => String(n) === String(data.activeAccountNumber)) || nums[0];
+      const extra = nums.filter(n => n !== keep);
+      add("error", `Accounts ${nums.map(n => `Account-${n}`).join(", ")} are the same login (same sub)`, {
+        label: `Keep Account-${keep}, remove ${extra.map(n => `Account-${n}`).join(", ")}`,
+        changes: extra.flatMap(n => removeAccountRepair(n, `duplicate of Account-${keep}`).changes),
+        apply: fix => extra.forEach(n => removeAccountRepair(n).apply(fix)),
+      });
+    }
+
+    if (liveSub) {
+      const liveEntry = Object.entries(accounts).find(([, a]) => a.sub === liveSub);
+      const liveNum = liveEntry ? Number(liveEntry[0]) : null;
+      if (liveNum !== (data.activeAccountNumber === null || data.activeAccountNumber === undefined ? null : Number(data.activeAccountNumber))) {
+        add("warning", `activeAccountNumber is ${data.activeAccountNumber ?? "unset"} but the live login is ${liveNum ? `Account-${liveNum}` : "not a saved account"}`, {
+          label: "Point activeAccountNumber at the live login",
+          changes: [`Set activeAccountNumber to ${liveNum ?? "null"}`],
+          apply: fix => { fix.data.activeAccountNumber = liveNum; },
+        });
+      }
+    }
+
+    for (const [dirOf, pattern, currentName] of LEGACY_BACKUP_PATTERNS) {
+      let names = [];
+      try { names = fs.readdirSync(dirOf()); } catch {}
+      for (const name of names) {
+        const num = pattern.exec(name)?.[1];
+        if (!num) continue;
+        const file = path.join(dirOf(), name);
+        const target = path.join(dirOf(), currentName(num));
+        const rename = accounts[num] && !fs.existsSync(target);
+        add("warning", `Legacy backup filename ${name}`, rename ? {
+          label: `Rename ${name}`,
+          changes: [`Rename ${name} → ${currentName(num)}`],
+          apply: () => fs.renameSync(file, target),
+        } : {
+          label: `Move ${name} aside`,
+          changes: [`Move ${name} to the doctor backup folder (${accounts[num] ? "superseded by the current file" : "no such account"})`],
+          apply: fix => fix.moveAside(file),
+        });
+      }
+    }
+
+    for (const dir of [CREDENTIALS_DIR, CONFIGS_DIR]) {
+      let names = [];
+      try { names = fs.readdirSync(dir); } catch {}
+      for (const name of names) {
+        const num = /^\.(?:creds|claude-config)-(\d+)\.(?:enc|json)$/.exec(name)?.[1];
+        if (!num || accounts[num]) continue;
+        add("warning", `Orphaned backup ${name} (no Account-${num})`, {
+          label: `Move ${name} aside`,
+          changes: [`Move ${name} to the doctor backup folder`],
+          apply: fix => fix.moveAside(path.join(dir, name)),
+        });
+      }
+    }
+  }
+
+  const loose = credentialFileModes().filter(m => m.mode !== m.expected);
+  if (loose.length) {
+    add("warning", `${loose.length} file(s) or folder(s) holding credentials are accessible to other users`, {
+      label: "Restrict permissions to the owner",
+      changes: loose.map(m => `chmod ${m.expected.toString(8)} ${displayPath(m.path)}`),
+      apply: () => loose.forEach(m => {
+        try { fs.chmodSync(m.path, m.expected); }
+        catch (e) { if (e.code !== "ENOENT") throw e; }
+      }),
+    });
+  }
+
+  return findings;
+}
+
+function doctorReport(findings, selected) {
+  const lines = ["# Claude Usage: Check Accounts", ""];
+  for (const f of findings) {
+    lines.push(`- **${f.severity}**: ${f.message}`);
+    if (!f.repair) lines.push("  - no automatic repair");
+    else if (selected.includes(f)) f.repair.changes.forEach(c => lines.push(`  - will: ${c}`));
+    else lines.push(`  - skipped: ${f.repair.label}`);
+  }
+  return lines.join("\n") + "\n";
+}
+
+// Applies repairs in order; backs up sequence.json first and writes it once.
+// A failing repair is logged and skipped so the others still land.
+function applyRepairs(selected) {
+  const release = acquireFileLock(SWITCH_LOCK_FILE, "repairing accounts");
+  try {
+    const backupDir = path.join(DOCTOR_BACKUP_DIR, `doctor-${new Date().toISOString().replace(/[:.]/g, "-")}`);
+    ensureDir(backupDir);
+    if (fs.existsSync(SEQUENCE_FILE)) fs.copyFileSync(SEQUENCE_FILE, path.join(backupDir, "sequence.json"));
+
+    const fix = {
+      data: readSequenceFile().data,
+      moveAside(file) {
+        if (!fs.existsSync(file)) return;
+        fs.renameSync(file, path.join(backupDir, path.basename(file)));
+      },
+    };
+    const before = JSON.stringify(fix.data);
+    const failed = [];
+    for (const f of selected) {
+      try {
+        f.repair.apply(fix);
+        log(`Doctor: ${f.repair.label}`);
+      } catch (e) {
+        failed.push(f.repair.label);
+        log(`Doctor: ${f.repair.label} failed: ${e.message}`);
+      }
+    }
+    if (fix.data && JSON.stringify(fix.data) !== before) {
+      fix.data.lastUpdated = getTimestamp();
+      writeJSON(SEQUENCE_FILE, fix.data);
+    }
+    return { backupDir, failed };
+  } finally {
+    release();
+  }
+}
+
+async function checkAccountsCommand() {
+  const findings = diagnoseAccounts();
+  if (!findings.length) {
+    const count = Object.keys(getSeqData()?.accounts || {}).length;
+    vscode.window.showInformationMessage(`No problems found (${count} saved account${count === 1 ? "" : "s"}).`);
+    return;
+  }
+
+  const repairable = findings.filter(f => f.repair);
+  let selected = [];
+  if (repairable.length) {
+    const picks = await vscode.window.showQuickPick(repairable.map(f => ({
+      label: `${f.severity === "error" ? "$(error)" : "$(warning)"} ${f.message}`,
+      detail: f.repair.label,
+      finding: f,
+      picked: true,
+    })), { canPickMany: true, placeHolder: `${findings.length} problem(s) found — select the repairs to preview`, ignoreFocusOut: true });
+    if (!picks) return;
+    selected = picks.map(p => p.finding);
+  }
+
+  const doc = await vscode.workspace.openTextDocument({ language: "markdown", content: doctorReport(findings, selected) });
+  await vscode.window.showTextDocument(doc, { preview: true });
+  if (!selected.length) return;
+
+  const choice = await vscode.window.showWarningMessage(
+    `Apply ${selected.length} repair(s)? sequence.json is backed up first.`, { modal: true }, "Apply"
+  );
+  if (choice !== "Apply") return;
+
+  const { backupDir, failed } = applyRepairs(selected);
+  const remaining = diagnoseAccounts().length;
+  const summary = `Applied ${selected.length - failed.length} of ${selected.length} repair(s); backup in ${displayPath(backupDir)}.`
+    + (remaining ? ` ${remaining} problem(s) remain — run Check Accounts again.` : "");
+  if (failed.length) vscode.window.showWarningMessage(`${summary} Failed: ${failed.join("; ")} (see the output channel).`);
+  else vscode.window.showInformationMessage(summary);
+  await refreshAll();
+}
+
+// ─── Claude Code sessions ────────────────────────────────────────────────────
+//
+// After a switch, integrated terminals whose process tree contains Claude Code
+// still run with the old account. They are found via `ps` (the terminal name
+// is the fallback where that is unavailable) and can be restarted — interrupt
+// and relaunch — or resumed, which stops Claude and leaves the resume command
+// typed at the prompt for the user to run.
+
+const SESSION_EXIT_WAIT_MS = 5000;
+
+function listProcesses() {
+  return new Promise(resolve => {
+    if (process.platform === "win32") return resolve(null);
+    execFile("ps", ["-A", "-o", "pid=,ppid=,args="], { timeout: 3000, maxBuffer: 8 * 1024 * 1024 }, (err, stdout) => {
+      if (err) return resolve(null);
+      const procs = [];
+      for (const line of stdout.split("\n")) {
+        const m = line.match(/^\s*(\d+)\s+(\d+)\s+(.*)$/);
+        if (m) procs.push({ pid: Number(m[1]), ppid: Number(m[2]), args: m[3] });
+      }
+      resolve(procs);
+    });
+  });
+}
+
+// Matches `claude …` as well as `node /path/to/claude …`.
+function isClaudeCommand(args, names) {
+  return args.split(/\s+/).slice(0, 2).some(t =>
+    names.includes(path.basename(t).replace(/\.(js|mjs|cjs|cmd|exe)$/i, ""))
+  );
+}
+
+async function findClaudeTerminals() {
+  const names = cfg().get("sessions.processNames", ["claude"]);
+  const procs = await listProcesses();
+  const found = [];
+  for (const terminal of vscode.window.terminals) {
+    if (!procs) {
+      if (names.some(n => terminal.name.toLowerCase().includes(n.toLowerCase()))) found.push({ terminal, pids: [] });
+      continue;
+    }
+    const root = await terminal.processId;
+    if (!root) continue;
+    const pids = [];
+    const queue = [root];
+    while (queue.length) {
+      const pid = queue.shift();
+      for (const p of procs) {
+        if (p.ppid !== pid) continue;
+        queue.push(p.pid);
+        if (isClaudeCommand(p.args, names)) pids.push(p.pid);
+      }
+    }
+    if (pids.length) found.push({ terminal, pids });
+  }
+  return found;
+}
+
+async function waitForExit(pids) {
+  const until = Date.now() + SESSION_EXIT_WAIT_MS;
+  while (pids.length && Date.now() < until) {
+    await new Promise(r => setTimeout(r, 250));
+    pids = pids.filter(pid => {
+      try { process.kill(pid, 0); return true; } catch { return false; }
+    });
+  }
+  return !pids.length;
+}
+
+// Returns false, sending nothing, when Claude Code is still running: the
+// command would otherwise be typed into its prompt.
+async function restartSession({ terminal, pids }, mode) {
+  const c = cfg();
+  terminal.sendText("\u0003", false);
+  await new Promise(r => setTimeout(r, 300));
+  terminal.sendText("\u0003", false);
+  if (!(await waitForExit(pids))) {
+    log(`Claude Code in terminal "${terminal.name}" did not exit; left it alone`);
+    vscode.window.showWarningMessage(
+      `Claude Code in terminal "${terminal.name}" did not stop, so it was not ${mode === "restart" ? "restarted" : "stopped"}. Exit it and relaunch it yourself to use the new account.`
+    );
+    return false;
+  }
+  if (mode === "restart") terminal.sendText(c.get("sessions.restartCommand", "claude --continue"), true);
+  else terminal.sendText(c.get("sessions.resumeCommand", "claude --resume"), false);
+  log(`${mode === "restart" ? "Restarted" : "Stopped for resume"}: terminal "${terminal.name}"`);
+  return true;
+}
+
+async function chooseSessionActions(sessions) {
+  for (const session of sessions) {
+    const choice = await vscode.window.showQuickPick([
+      { label: "$(debug-restart) Restart", description: "interrupt and relaunch with the new account", mode: "restart" },
+      { label: "$(debug-pause) Resume later", description: "stop it and type the resume command, without running it", mode: "resume" },
+      { label: "$(close) Leave running", mode: null },
+    ], { placeHolder: `Terminal "${session.terminal.name}" is running Claude Code` });
+    if (choice?.mode) await restartSession(session, choice.mode);
+  }
+}
+
+// Announces a completed switch and deals with Claude Code sessions per the
+// sessions.afterSwitch setting. Callers don't wait for the notification, so
+// failures are logged here.
+function announceSwitch(message, opts) {
+  handleSwitchedSessions(message, opts).catch(e => log(`After-switch handling failed: ${e.message}`));
+}
+
+async function handleSwitchedSessions(message, { undo = false, onlyWithSessions = false } = {}) {
+  const mode = cfg().get("sessions.afterSwitch", "ask");
+  const sessions = mode === "ignore" ? [] : await findClaudeTerminals();
+  if (onlyWithSessions && !sessions.length) return;
+  const undoBtn = undo ? ["Undo"] : [];
+
+  let choice;
+  if (!sessions.length) {
+    choice = await vscode.window.showInformationMessage(`${message} Restart Claude Code to apply.`, ...undoBtn);
+  } else if (mode === "restart" || mode === "resume") {
+    let done = 0;
+    for (const session of sessions) if (await restartSession(session, mode)) done++;
+    choice = await vscode.window.showInformationMessage(
+      `${message} ${mode === "restart" ? "Restarted" : "Stopped"} Claude Code in ${done} of ${sessions.length} terminal(s).`, ...undoBtn
+    );
+  } else {
+    const n = sessions.length;
+    choice = await vscode.window.showInformationMessage(
+      `${message} ${n} terminal${n === 1 ? " is" : "s are"} still running Claude Code with the previous account.`,
+      "Restart All", "Choose…", ...undoBtn
+    );
+    if (choice === "Restart All") for (const session of sessions) await restartSession(session, "restart");
+    if (choice === "Choose…") await chooseSessionActions(sessions);
+  }
+  if (choice === "Undo") vscode.commands.executeCommand("claudeUsage.undoSwitch");
+}
+
+// ─── Auto-switch policy ──────────────────────────────────────────────────────
+//
+// Rotates away from the active account once its 5h or 7d utilization crosses
+// the configured threshold. Candidates must sit below threshold - hysteresis,
+// so an account that just triggered a switch cannot be picked straight back,
+// and the cooldown spaces out consecutive switches.
+
+const AUTO_SWITCH_STATE_KEY = "autoSwitch.lastSwitchAt";
+
+function autoSwitchSettings() {
+  const c = cfg();
+  return {
+    enabled: c.get("autoSwitch.enabled", false),
+    strategy: c.get("autoSwitch.strategy", "headroom"),
+    h5: c.get("autoSwitch.fiveHourThreshold", 95),
+    d7: c.get("autoSwitch.sevenDayThreshold", 98),
+    hysteresis: c.get("autoSwitch.hysteresis", 10),
+    cooldownMs: c.get("autoSwitch.cooldownMinutes", 30) * 60_000,
+  };
+}
+
+// Distance to the nearest threshold; negative once either one is crossed.
+function usageHeadroom(usage, s, margin = 0) {
+  const h5 = usage?.five_hour?.utilization ?? 0;
+  const d7 = usage?.seven_day?.utilization ?? 0;
+  return Math.min(s.h5 - margin - h5, s.d7 - margin - d7);
+}
+
+function pickAutoSwitchTarget(rows, current, s, sequence) {
+  const eligible = rows.filter(r =>
+    !r.isActive && r.usage && !r.error && r.authState !== "relogin"
+    && usageHeadroom(r.usage, s, s.hysteresis) > 0
+  );
+  if (!eligible.length) return null;
+  if (s.strategy === "sequence") {
+    const start = sequence.indexOf(current.num);
+    for (let i = 1; i <= sequence.length; i++) {
+      const hit = eligible.find(r => r.num === sequence[(start + i) % sequence.length]);
+      if (hit) return hit;
+    }
+    return null;
+  }
+  return eligible.reduce((best, r) => usageHeadroom(r.usage, s) > usageHeadroom(best.usage, s) ? r : best);
+}
+
+async function maybeAutoSwitch(rows, sequence) {
+  const s = autoSwitchSettings();
+  if (!s.enabled || autoSwitchBusy) return;
+  const current = rows.find(r => r.isActive);
+  if (!current?.usage || current.num === 0 || usageHeadroom(current.usage, s) > 0) return;
+
+  const h5 = Math.round(current.usage.five_hour?.utilization ?? 0);
+  const d7 = Math.round(current.usage.seven_day?.utilization ?? 0);
+  const reason = `Account-${current.num} at 5h ${h5}% / 7d ${d7}% (thresholds ${s.h5}% / ${s.d7}%)`;
+
+  const last = extContext?.globalState.get(AUTO_SWITCH_STATE_KEY, 0) ?? 0;
+  const waitMs = last + s.cooldownMs - Date.now();
+  if (waitMs > 0) {
+    log(`Auto-switch: ${reason}; in cooldown for another ${Math.ceil(waitMs / 60_000)}m`);
+    return;
+  }
+
+  const target = pickAutoSwitchTarget(rows, current, s, sequence);
+  if (!target) {
+    log(`Auto-switch: ${reason}; no account has enough headroom (hysteresis ${s.hysteresis}%)`);
+    return;
+  }
+
+  autoSwitchBusy = true;
+  try {
+    log(`Auto-switch: ${reason}; switching to Account-${target.num} (${s.strategy})`);
+    await switchToAccount(target.num);
+    await extContext?.globalState.update(AUTO_SWITCH_STATE_KEY, Date.now());
+    announceSwitch(`Auto-switched from Account-${current.num} to Account-${target.num}.`, { undo: true });
+    await refreshAll();
+  } catch (e) {
+    log(`Auto-switch to Account-${target.num} failed: ${e.message}`);
+  } finally {
+    autoSwitchBusy = false;
+  }
+}
+
+// ─── Usage history ───────────────────────────────────────────────────────────
+//
+// One JSON line per account per poll: { t, sub, h5, d7 }. Samples older than
+// the retention period are dropped, and those older than a day are thinned to
+// one per 15 minutes, so the file stays small without losing the trend. Only
+// the leader appends and compacts; every window re-reads the file when its
+// mtime or size changes.
+
+const HISTORY_LOCK_FILE = path.join(SWAP_DIR, "history.lock");
+const HISTORY_MIN_GAP_MS = 20_000;
+const HISTORY_COMPACT_EVERY_MS = 3600_000;
+const HISTORY_FINE_MS = 24 * 3600_000;
+const HISTORY_BUCKET_MS = 15 * 60_000;
+const SPARK_CHARS = "▁▂▃▄▅▆▇█";
+const SPARK_HOURS = 3;
+const SPARK_SLOTS = 12;
+
+function historyFileStamp() {
+  try {
+    const st = fs.statSync(HISTORY_FILE);
+    return `${st.mtimeMs}:${st.size}`;
+  } catch { return null; }
+}
+
+function loadHistory() {
+  const stamp = historyFileStamp();
+  if (historyCache && stamp === historyStamp) return historyCache;
+  historyCache = [];
+  historyStamp = stamp;
+  try {
+    for (const line of fs.readFileSync(HISTORY_FILE, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try { historyCache.push(JSON.parse(line)); } catch {}
+    }
+  } catch {}
+  return historyCache;
+}
+
+// Rewrites the file from a fresh read, so samples another window appended
+// since this one last loaded it survive.
+function compactHistory() {
+  if (!isLeader) return;
+  let release;
+  try { release = acquireFileLock(HISTORY_LOCK_FILE, "compacting usage history"); }
+  catch (e) { log(`History compaction skipped: ${e.message}`); return; }
+  try {
+    historyCache = null;
+    const entries = loadHistory();
+    const now = Date.now();
+    const keepFrom = now - cfg().get("history.retentionDays", 7) * 86400_000;
+    const seen = new Set();
+    const kept = [];
+    // Walk newest-first so each coarse bucket keeps its latest sample
+    for (let i = entries.length - 1; i >= 0; i--) {
+      const e = entries[i];
+      if (e.t < keepFrom) continue;
+      if (now - e.t > HISTORY_FINE_MS) {
+        const bucket = `${e.sub}|${Math.floor(e.t / HISTORY_BUCKET_MS)}`;
+        if (seen.has(bucket)) continue;
+        seen.add(bucket);
+      }
+      kept.push(e);
+    }
+    kept.reverse();
+    historyCache = kept;
+    historyCompactedAt = now;
+    try {
+      ensureDir(SWAP_DIR);
+      writeFileAtomic(HISTORY_FILE, kept.map(e => JSON.stringify(e) + "\n").join(""));
+      historyStamp = historyFileStamp();
+    } catch {}
+  } finally {
+    release();
+  }
+}
+
+function recordUsageHistory(rows) {
+  const entries = loadHistory();
+  const now = Date.now();
+  let lines = "";
+  for (const { sub, usage } of rows) {
+    if (!sub || !usage) continue;
+    const prev = latestHistoryEntry(sub);
+    if (prev && now - prev.t < HISTORY_MIN_GAP_MS) continue;
+    const e = {
+      t: now,
+      sub,
+      h5: usage.five_hour?.utilization ?? null,
+      d7: usage.seven_day?.utilization ?? null,
+    };
+    entries.push(e);
+    lines += JSON.stringify(e) + "\n";
+  }
+  if (!lines) return;
+  try {
+    ensureDir(SWAP_DIR);
+    fs.appendFileSync(HISTORY_FILE, lines, { encoding: "utf8", mode: 0o600 });
+  } catch {}
+  if (now - historyCompactedAt > HISTORY_COMPACT_EVERY_MS) compactHistory();
+}
+
+function latestHistoryEntry(sub) {
+  const entries = loadHistory();
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].sub === sub) return entries[i];
+  }
+  return null;
+}
+
+function historyFor(sub, sinceMs = 0) {
+  return loadHistory().filter(e => e.sub === sub && e.t >= sinceMs);
+}
+
+// Fixed 0–100 scale so sparklines are comparable between accounts.
+function sparkline(sub, key) {
+  if (!sub) return "";
+  const slotMs = SPARK_HOURS * 3600_000 / SPARK_SLOTS;
+  const start = Date.now() - SPARK_HOURS * 3600_000;
+  const slots = new Array(SPARK_SLOTS).fill(null);
+  for (const e of historyFor(sub, start)) {
+    const v = e[key];
+    if (v === null || v === undefined) continue;
+    const i = Math.min(Math.floor((e.t - start) / slotMs), SPARK_SLOTS - 1);
+    slots[i] = Math.max(slots[i] ?? 0, v);
+  }
+  if (slots.every(v => v === null)) return "";
+  return slots.map(v => v === null
+    ? "·"
+    : SPARK_CHARS[Math.min(Math.floor(v / 100 * SPARK_CHARS.length), SPARK_CHARS.length - 1)]
+  ).join("");
+}
+
+// ─── Transcript analysis ─────────────────────────────────────────────────────
+//
+// Claude Code appends one JSON line per message to projects/<dir>/<session>.jsonl
+// under the config dir; assistant lines carry the model and token usage. Each
+// file is parsed from where the last scan stopped, and tokens are summed into
+// day × workspace × model × account buckets. The index keeps every file's
+// offset next to that file's buckets, so any window can rewrite it without
+// double counting. Message ids seen in any file are kept too, because
+// `claude --continue` and `--resume` copy earlier messages into the new
+// session file. Accounts come from active-timeline.jsonl, which records the
+// active sub whenever the leader sees it change.
+
+const TRANSCRIPT_SCAN_MS = 5 * 60_000;
+const TRANSCRIPT_CHUNK_BYTES = 1 << 20;
+const TRANSCRIPT_MAX_DEPTH = 3;
+const TOKEN_FIELDS = {
+  input: "input_tokens",
+  output: "output_tokens",
+  cacheWrite: "cache_creation_input_tokens",
+  cacheRead: "cache_read_input_tokens",
+};
+
+let transcriptIndex = null;
+let transcriptIndexMtime = 0;
+let transcriptScan = null;
+
+function projectsDir() { return path.join(CLAUDE_DIR, "projects"); }
+
+function loadActiveTimeline() {
+  const timeline = [];
+  try {
+    for (const line of fs.readFileSync(ACTIVE_TIMELINE_FILE, "utf8").split("\n")) {
+      if (!line.trim()) continue;
+      try { timeline.push(JSON.parse(line)); } catch {}
+    }
+  } catch {}
+  return timeline;
+}
+
+function noteActiveSub(sub) {
+  const timeline = loadActiveTimeline();
+  if (timeline.length && timeline[timeline.length - 1].sub === (sub || null)) return;
+  try {
+    ensureDir(SWAP_DIR);
+    fs.appendFileSync(ACTIVE_TIMELINE_FILE, JSON.stringify({ t: Date.now(), sub: sub || null }) + "\n", { encoding: "utf8", mode: 0o600 });
+  } catch {}
+}
+
+// Sub active at time t, or null before the timeline starts.
+function activeSubAt(timeline, t) {
+  let lo = 0;
+  let hi = timeline.length - 1;
+  let found = null;
+  while (lo <= hi) {
+    const mid = (lo + hi) >> 1;
+    if (timeline[mid].t <= t) { found = timeline[mid]; lo = mid + 1; }
+    else hi = mid - 1;
+  }
+  return found?.sub ?? null;
+}
+
+function localDay(t) {
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function emptyTokenCounts() {
+  return { input: 0, output: 0, cacheWrite: 0, cacheRead: 0, messages: 0 };
+}
+
+function addTokenCounts(into, from) {
+  for (const k of Object.keys(TOKEN_FIELDS)) into[k] += from[k] || 0;
+  into.messages += from.messages || 0;
+  return into;
+}
+
+function totalTokens(c) { return c.input + c.output + c.cacheWrite + c.cacheRead; }
+
+function parseTranscriptLine(line) {
+  let e;
+  try { e = JSON.parse(line); } catch { return null; }
+  const usage = e?.message?.usage;
+  if (e?.type !== "assistant" || !usage) return null;
+  const t = Date.parse(e.timestamp);
+  if (!Number.isFinite(t)) return null;
+  // Streamed replies repeat one message across several lines
+  const id = e.message.id ? `${e.message.id}:${e.requestId || ""}` : e.uuid;
+  return { id, t, cwd: e.cwd || null, model: e.message.model || "unknown", usage };
+}
+
+function loadTranscriptIndex() {
+  let mtime = 0;
+  try { mtime = fs.statSync(TRANSCRIPT_INDEX_FILE).mtimeMs; } catch {}
+  if (!transcriptIndex || mtime !== transcriptIndexMtime) {
+    const stored = readJSON(TRANSCRIPT_INDEX_FILE);
+    transcriptIndex = stored?.version === 2 ? stored : { version: 2, scannedAt: 0, files: {}, seen: {} };
+    transcriptIndexMtime = mtime;
+  }
+  return transcriptIndex;
+}
+
+async function listTranscriptFiles(dir, depth = 0) {
+  let entries;
+  try { entries = await fs.promises.readdir(dir, { withFileTypes: true }); }
+  catch { return []; }
+  const files = [];
+  for (const entry of entries) {
+    const full = path.join(dir, entry.name);
+    if (entry.isDirectory() && depth < TRANSCRIPT_MAX_DEPTH) files.push(...await listTranscriptFiles(full, depth + 1));
+    else if (entry.isFile() && entry.name.endsWith(".jsonl")) files.push(full);
+  }
+  return files;
+}
+
+// Short digest of a message id; keeps the seen list in the index small.
+function transcriptIdKey(id) {
+  return crypto.createHash("sha256").update(id).digest("base64").slice(0, 16);
+}
+
+// Reads complete lines past state.offset; a half-written last line is left
+// for the next scan. `seen` maps message id keys to their day across all
+// files. A truncated file is re-read from the start; its messages already
+// counted are skipped by id. Returns true when anything new was consumed.
+async function scanTranscriptFile(file, state, timeline, seen) {
+  const { size } = await fs.promises.stat(file);
+  if (size < state.offset) state.offset = 0;
+  if (size === state.offset) return false;
+
+  const fh = await fs.promises.open(file, "r");
+  try {
+    let pending = Buffer.alloc(0);
+    let pos = state.offset;
+    while (pos < size) {
+      const chunk = Buffer.alloc(Math.min(TRANSCRIPT_CHUNK_BYTES, size - pos));
+      const { bytesRead } = await fh.read(chunk, 0, chunk.length, pos);
+      if (!bytesRead) break;
+      pos += bytesRead;
+      const buf = Buffer.concat([pending, chunk.subarray(0, bytesRead)]);
+      const end = buf.lastIndexOf(0x0a);
+      if (end < 0) { pending = buf; continue; }
+      pending = buf.subarray(end + 1);
+      state.offset = pos - pending.length;
+
+      for (const line of buf.subarray(0, end).toString("utf8").split("\n")) {
+        const entry = line.trim() && parseTranscriptLine(line);
+        if (!entry) continue;
+        const idKey = transcriptIdKey(entry.id);
+        if (seen.has(idKey)) continue;
+        seen.set(idKey, localDay(entry.t));
+        const key = [localDay(entry.t), entry.cwd || path.basename(path.dirname(file)), entry.model, activeSubAt(timeline, entry.t) || ""].join("\t");
+        const bucket = state.buckets[key] || (state.buckets[key] = emptyTokenCounts());
+        for (const [k, field] of Object.entries(TOKEN_FIELDS)) bucket[k] += Number(entry.usage[field]) || 0;
+        bucket.messages++;
+      }
+    }
+  } finally {
+    await fh.close();
+  }
+  return true;
+}
+
+function pruneTranscriptIndex(index, existing) {
+  const cutoff = localDay(Date.now() - cfg().get("transcripts.retentionDays", 30) * 86400_000);
+  for (const [file, state] of Object.entries(index.files)) {
+    for (const key of Object.keys(state.buckets)) {
+      if (key.slice(0, 10) < cutoff) delete state.buckets[key];
+    }
+    if (!existing.has(file) && !Object.keys(state.buckets).length) delete index.files[file];
+  }
+  for (const [id, day] of Object.entries(index.seen)) {
+    if (day < cutoff) delete index.seen[id];
+  }
+}
+
+function scanTranscripts() {
+  if (transcriptScan) return transcriptScan;
+  transcriptScan = (async () => {
+    const index = loadTranscriptIndex();
+    const timeline = loadActiveTimeline();
+    const files = await listTranscriptFiles(projectsDir());
+    const seen = new Map(Object.entries(index.seen));
+    for (const file of files) {
+      const state = index.files[file] || (index.files[file] = { offset: 0, buckets: {} });
+      try { await scanTranscriptFile(file, state, timeline, seen); }
+      catch (e) { log(`Could not read transcript ${file}: ${e.message}`); }
+    }
+    index.seen = Object.fromEntries(seen);
+    pruneTranscriptIndex(index, new Set(files));
+    index.scannedAt = Date.now();
+    try {
+      ensureDir(SWAP_DIR);
+      writeJSON(TRANSCRIPT_INDEX_FILE, index);
+      transcriptIndexMtime = fs.statSync(TRANSCRIPT_INDEX_FILE).mtimeMs;
+    } catch (e) {
+      log(`Could not write transcript index: ${e.message}`);
+    }
+  })().finally(() => { transcriptScan = null; });
+  return transcriptScan;
+}
+
+function maybeScanTranscripts() {
+  if (!cfg().get("transcripts.enabled", true)) return;
+  if (Date.now() - (loadTranscriptIndex().scannedAt || 0) < TRANSCRIPT_SCAN_MS) return;
+  scanTranscripts().then(() => renderStatus(), e => log(`Transcript scan failed: ${e.message}`));
+}
+
+// Sums buckets on or after sinceDay, grouped by groupBy(day, cwd, model, sub).
+function aggregateTranscripts(sinceDay, groupBy) {
+  const groups = new Map();
+  for (const state of Object.values(loadTranscriptIndex().files)) {
+    for (const [key, counts] of Object.entries(state.buckets)) {
+      const [day, cwd, model, sub] = key.split("\t");
+      if (day < sinceDay) continue;
+      const name = groupBy(day, cwd, model, sub || null);
+      if (!groups.has(name)) groups.set(name, emptyTokenCounts());
+      addTokenCounts(groups.get(name), counts);
+    }
+  }
+  return groups;
+}
+
+function inCurrentWorkspace(cwd) {
+  return (vscode.workspace.workspaceFolders || []).some(f => {
+    const root = f.uri.fsPath;
+    return cwd === root || cwd.startsWith(root + path.sep);
+  });
+}
+
+// { share, tokens, total } for today, or null with nothing to compare.
+function workspaceShareToday() {
+  if (!cfg().get("transcripts.enabled", true) || !vscode.workspace.workspaceFolders?.length) return null;
+  const groups = aggregateTranscripts(localDay(Date.now()), (day, cwd) => inCurrentWorkspace(cwd) ? "here" : "other");
+  const here = groups.get("here") ? totalTokens(groups.get("here")) : 0;
+  const total = here + (groups.get("other") ? totalTokens(groups.get("other")) : 0);
+  return total ? { share: here / total, tokens: here, total } : null;
+}
+
+function formatTokens(n) {
+  if (n >= 1e9) return `${(n / 1e9).toFixed(1)}B`;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1)}M`;
+  if (n >= 1e3) return `${Math.round(n / 1e3)}k`;
+  return String(n);
+}
+
+// ─── Burn-rate forecast ──────────────────────────────────────────────────────
+//
+// Fits a line through the recent samples of one window, stopping at the last
+// reset (a drop in utilization), and projects when it would reach 100%.
+
+const FORECAST_LOOKBACK_MS = { h5: 60 * 60_000, d7: 6 * 3600_000 };
+const FORECAST_MIN_SPAN_MS = 5 * 60_000;
+const RESET_DROP_PCT = 2;
+
+function burnRatePerMs(points) {
+  const n = points.length;
+  const mt = points.reduce((a, p) => a + p.t, 0) / n;
+  const mv = points.reduce((a, p) => a + p.v, 0) / n;
+  let num = 0;
+  let den = 0;
+  for (const p of points) {
+    num += (p.t - mt) * (p.v - mv);
+    den += (p.t - mt) ** 2;
+  }
+  return den ? num / den : 0;
+}
+
+// Returns { etaMs, resetMs, warning } or null when there is no upward trend.
+function forecastWindow(sub, key, pct, resetsAt) {
+  if (!sub || pct === null || pct === undefined) return null;
+  const now = Date.now();
+  const entries = historyFor(sub, now - FORECAST_LOOKBACK_MS[key]);
+  const points = [];
+  for (let i = entries.length - 1; i >= 0; i--) {
+    const v = entries[i][key];
+    if (v === null || v === undefined) continue;
+    if (points.length && v > points[points.length - 1].v + RESET_DROP_PCT) break;
+    points.push({ t: entries[i].t, v });
+  }
+  if (points.length < 2 || points[0].t - points[points.length - 1].t < FORECAST_MIN_SPAN_MS) return null;
+
+  const rate = burnRatePerMs(points);
+  if (rate <= 0) return null;
+  const etaMs = Math.max(0, (100 - pct) / rate);
+  const resetMs = resetsAt ? new Date(resetsAt) - now : null;
+  return { etaMs, resetMs, warning: resetMs !== null && etaMs < resetMs };
+}
+
+function forecastText(fc) {
+  const reset = fc.resetMs !== null ? ` (resets in ${formatDuration(fc.resetMs)})` : "";
+  return `at current pace: 100% in ${formatDuration(fc.etaMs)}${reset}`;
+}
+
+// ─── Threshold notifications ─────────────────────────────────────────────────
+//
+// Each threshold fires once per reset period: the highest level notified is
+// remembered in globalState under sub|window|resets_at, so a window reload
+// does not repeat the alert and the next period starts fresh.
+
+const NOTIFY_STATE_KEY = "notifications.fired";
+const WINDOW_NAMES = { five_hour: "5-hour", seven_day: "7-day" };
+
+function thresholdSettings() {
+  const c = cfg();
+  const clean = list => (Array.isArray(list) ? list : []).filter(n => typeof n === "number").sort((a, b) => a - b);
+  return {
+    enabled: c.get("notifications.enabled", true),
+    five_hour: clean(c.get("notifications.fiveHourThresholds", [80, 90, 100])),
+    seven_day: clean(c.get("notifications.sevenDayThresholds", [80, 90, 100])),
+  };
+}
+
+function crossedLevel(pct, thresholds) {
+  let level = null;
+  for (const t of thresholds) if (pct >= t) level = t;
+  return level;
+}
+
+function mostHeadroomRow(rows) {
+  const full = { h5: 100, d7: 100 };
+  const candidates = rows.filter(r => !r.isActive && r.usage && !r.error && r.authState !== "relogin");
+  if (!candidates.length) return null;
+  const best = candidates.reduce((b, r) => usageHeadroom(r.usage, full) > usageHeadroom(b.usage, full) ? r : b);
+  return usageHeadroom(best.usage, full) > 0 ? best : null;
+}
+
+async function checkThresholds(rows) {
+  const s = thresholdSettings();
+  const current = rows.find(r => r.isActive);
+  if (!s.enabled || !current?.usage || !current.sub || !extContext) return;
+  // Every window sees the same rows; only the focused one speaks up, and the
+  // shared notification state keeps the others from repeating it later.
+  if (!vscode.window.state.focused) return;
+
+  const fired = { ...extContext.globalState.get(NOTIFY_STATE_KEY, {}) };
+  // Forget periods that have already reset
+  for (const k of Object.keys(fired)) {
+    const resetsAt = k.split("|")[2];
+    if (resetsAt && resetsAt !== "?" && new Date(resetsAt) < Date.now()) delete fired[k];
+  }
+
+  const alerts = [];
+  let top = false;
+  for (const key of Object.keys(WINDOW_NAMES)) {
+    const w = current.usage[key];
+    if (typeof w?.utilization !== "number") continue;
+    const level = crossedLevel(w.utilization, s[key]);
+    const stateKey = `${current.sub}|${key}|${w.resets_at ?? "?"}`;
+    if (level === null || (fired[stateKey] ?? -1) >= level) continue;
+    fired[stateKey] = level;
+    if (level === s[key][s[key].length - 1]) top = true;
+    alerts.push(`${Math.round(w.utilization)}% of its ${WINDOW_NAMES[key]} limit (resets in ${timeUntil(w.resets_at)})`);
+  }
+  await extContext.globalState.update(NOTIFY_STATE_KEY, fired);
+  if (!alerts.length) return;
+
+  const name = current.num ? `Account-${current.num}` : "The current account";
+  const best = mostHeadroomRow(rows);
+  const action = best ? `Switch to Account-${best.num}` : null;
+  const show = top ? vscode.window.showErrorMessage : vscode.window.showWarningMessage;
+  const choice = await show(`Claude: ${name} has used ${alerts.join(" and ")}.`, ...(action ? [action] : []));
+  if (choice && choice === action) {
+    vscode.commands.executeCommand("claudeUsage.switchTo", best.num);
+  }
+}
+
+// Warning background from the lowest threshold, error from the highest.
+function applyStatusColor(row) {
+  const s = thresholdSettings();
+  let level = null;
+  for (const key of Object.keys(WINDOW_NAMES)) {
+    const pct = row?.usage?.[key]?.utilization;
+    const list = s[key];
+    if (typeof pct !== "number" || !list.length) continue;
+    if (pct >= list[list.length - 1]) level = "error";
+    else if (pct >= list[0] && level !== "error") level = "warning";
+  }
+  statusBarItem.backgroundColor = level
+    ? new vscode.ThemeColor(`statusBarItem.${level}Background`)
+    : undefined;
+}
+
+// ─── Workspace account pinning ───────────────────────────────────────────────
+//
+// A workspace pins a saved account by label or sub, either with the
+// workspace.pinnedAccount setting or a .vscode/claude-account.json file
+// ({ "account": "…" }) that can be committed alongside the project. The
+// setting wins when both are present.
+
+const PIN_FILE = path.join(".vscode", "claude-account.json");
+let pinHandledFor = null;
+
+function readPinSpec() {
+  const fromSetting = (cfg().get("workspace.pinnedAccount") || "").trim();
+  if (fromSetting) return { spec: fromSetting, source: "setting" };
+  for (const folder of vscode.workspace.workspaceFolders || []) {
+    const file = path.join(folder.uri.fsPath, PIN_FILE);
+    const spec = readJSON(file)?.account;
+    if (typeof spec === "string" && spec.trim()) return { spec: spec.trim(), source: file };
+  }
+  return null;
+}
+
+// { spec, source, num } — num is null when no saved account matches.
+function workspacePin(data = getSeqData()) {
+  const pin = readPinSpec();
+  if (!pin) return null;
+  const match = Object.entries(data?.accounts || {})
+    .find(([, info]) => info.label === pin.spec || info.sub === pin.spec);
+  return { ...pin, num: match ? Number(match[0]) : null };
+}
+
+function pinMismatch(rows) {
+  const pin = workspacePin();
+  if (!pin) return null;
+  const active = rows.find(r => r.isActive);
+  if (pin.num !== null && active?.num === pin.num) return null;
+  return { ...pin, activeNum: active?.num ?? null };
+}
+
+// Runs after each render but acts once per pin per window, so switching away
+// by hand later is respected; the status bar keeps flagging the mismatch.
+async function checkWorkspacePin(rows) {
+  const mismatch = pinMismatch(rows);
+  if (!mismatch || pinHandledFor === mismatch.spec) return;
+  pinHandledFor = mismatch.spec;
+
+  if (mismatch.num === null) {
+    vscode.window.showWarningMessage(
+      `This workspace is pinned to "${mismatch.spec}", which doesn't match any saved account label or sub.`
+    );
+    return;
+  }
+  // An untrusted repo may carry the pin; never let it switch accounts unasked.
+  let mode = cfg().get("workspace.onOpen", "ask");
+  if (mode === "ignore") return;
+  if (mode === "switch" && !vscode.workspace.isTrusted) mode = "ask";
+
+  const data = getSeqData();
+  const name = accountDisplayName(mismatch.num, data?.accounts?.[String(mismatch.num)]);
+  if (mode === "ask") {
+    const active = mismatch.activeNum
+      ? accountDisplayName(mismatch.activeNum, data?.accounts?.[String(mismatch.activeNum)])
+      : "an unsaved account";
+    const choice = await vscode.window.showInformationMessage(
+      `This workspace is pinned to ${name}, but ${active} is active.`, "Switch", "Not Now"
+    );
+    if (choice !== "Switch") return;
+  }
+  try {
+    await switchToAccount(mismatch.num);
+    log(`Switched to Account-${mismatch.num} for workspace pin "${mismatch.spec}"`);
+    announceSwitch(`Switched to ${name} for this workspace.`, { undo: true });
+    await refreshAll();
+  } catch (e) {
+    vscode.window.showErrorMessage(`Switch failed: ${e.message}`);
+  }
+}
+
+function resetWorkspacePin() {
+  pinHandledFor = null;
+  renderStatus();
+}
+
+// ─── Usage windows ───────────────────────────────────────────────────────────
+//
+// The usage endpoint returns one object per limit window; any key whose value
+// carries a numeric `utilization` is treated as a window, so new limits show
+// up without code changes. Known windows get fixed labels and ordering.
+
+const WINDOW_LABELS = {
+  five_hour: "5h",
+  seven_day: "7d",
+  seven_day_opus: "7d Opus",
+  seven_day_sonnet: "7d Sonnet",
+  seven_day_oauth_apps: "7d Apps",
+  extra_usage: "Extra",
+};
+const HISTORY_KEYS = { five_hour: "h5", seven_day: "d7" };
+
+function windowLabel(key) {
+  if (WINDOW_LABELS[key]) return WINDOW_LABELS[key];
+  return key
+    .replace(/^five_hour/, "5h").replace(/^seven_day/, "7d")
+    .split("_").filter(Boolean)
+    .map(w => w[0].toUpperCase() + w.slice(1))
+    .join(" ");
+}
+
+function usageWindows(usage) {
+  if (!usage || typeof usage !== "object") return [];
+  const order = Object.keys(WINDOW_LABELS);
+  const rank = k => order.includes(k) ? order.indexOf(k) : order.length;
+  return Object.entries(usage)
+    .filter(([, w]) => w && typeof w === "object" && typeof w.utilization === "number")
+    .map(([k, w]) => [k, { ...w, resets_at: w.resets_at ?? null }])
+    .sort(([a], [b]) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+// ─── Tooltip builder ─────────────────────────────────────────────────────────
+
+function timeUntil(iso) {
+  if (!iso) return "?";
+  return formatDuration(new Date(iso) - Date.now());
+}
+
+function formatDuration(ms) {
+  if (ms <= 0) return "now";
+  const h = Math.floor(ms / 3600000);
+  const m = Math.floor((ms % 3600000) / 60000);
+  if (h >= 24) return `${Math.floor(h / 24)}d ${h % 24}h`;
+  if (h > 0) return `${h}h ${m}m`;
+  return `${m}m`;
+}
+
+function barColor(p) {
+  const c = cfg();
+  return p >= c.get("colors.criticalThreshold", 90) ? "#e45649"
+    : p >= c.get("colors.warningThreshold", 80) ? "#e5a11c"
+    : "#50a14f";
+}
+
+function barTrack() { return "rgba(127,127,127,0.18)"; }
+
+// Pass resetsAt === null for windows that have no reset (e.g. extra usage).
+function usageRowHtml(label, pct, resetsAt, spark) {
+  const c = pct !== null ? barColor(pct) : "#888";
+  const p = pct !== null ? Math.min(Math.round(pct), 100) : 0;
+  const txt = pct !== null ? Math.round(pct) + "%" : "?";
+  return `<tr>`
+    + `<td style="padding:2px 6px 2px 16px;white-space:nowrap;opacity:0.7;font-size:0.9em">${label}</td>`
+    + `<td style="padding:2px 0;width:120px">`
+    +   `<div style="background:${barTrack()};border-radius:4px;height:6px;width:120px">`
+    +     `<div style="background:${c};height:100%;width:${p}%;border-radius:4px"></div>`
+    +   `</div>`
+    + `</td>`
+    + `<td style="padding:2px 6px;white-space:nowrap;font-weight:600;color:${c};text-align:right;font-size:0.9em">${txt}</td>`
+    + (spark ? `<td style="padding:2px 6px 2px 0;white-space:nowrap;opacity:0.6;font-size:0.8em;letter-spacing:-1px">${spark}</td>` : ``)
+    + `<td style="padding:2px 0;white-space:nowrap;opacity:0.5;font-size:0.85em">${resetsAt !== null ? `\u21bb ${timeUntil(resetsAt)}` : ""}</td>`
+    + `</tr>`;
+}
+
+function forecastRowHtml(fc) {
+  if (!fc) return "";
+  const style = fc.warning ? "color:#e5a11c;opacity:0.95" : "opacity:0.45";
+  return `<tr><td></td><td colspan="4" style="padding:0 0 3px 0;font-size:0.78em;${style}">`
+    + (fc.warning ? "$(warning) " : "")
+    + forecastText(fc)
+    + `</td></tr>`;
+}
+
+function cmdUri(command, args) {
+  return `command:${command}?${encodeURIComponent(JSON.stringify(args))}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/[&<>"']/g, c => `&#${c.charCodeAt(0)};`);
+}
+
+const AUTH_STATE_HTML = {
+  valid: `<span style="opacity:0.45">$(pass) token valid</span>`,
+  refreshed: `<span style="color:#50a14f">$(sync) token refreshed</span>`,
+  stale: `<span style="color:#e5a11c">$(clock) token expired — refresh pending</span>`,
+  relogin: `<span style="color:#e45649">$(warning) needs re-login</span>`,
+};
+
+function manageLinksHtml(num) {
+  const link = (cmd, args, text, title) =>
+    `<a href="${cmdUri(cmd, args)}" title="${title}" style="opacity:0.5">${text}</a>`;
+  return [
+    link("claudeUsage.renameAccount", [num], "Rename", "Set a custom label"),
+    link("claudeUsage.moveAccount", [num, -1], "&#8593;", "Move up"),
+    link("claudeUsage.moveAccount", [num, 1], "&#8595;", "Move down"),
+    link("claudeUsage.resaveAccount", [num], "Re-save", "Overwrite this backup with the current login"),
+    link("claudeUsage.removeAccount", [num], "Remove", "Remove this account"),
+  ].join(" &middot; ");
+}
+
+function accountBlockHtml({ num, label, email, sub, maskedToken, isActive, usage, error, authState, fetchError, stale, fetchedAt }) {
+  const borderLeft = isActive
+    ? `border-left:3px solid #0078d4;`
+    : `border-left:3px solid rgba(127,127,127,0.25);`;
+
+  const manage = num ? ` &nbsp;&middot;&nbsp; ${manageLinksHtml(num)}` : "";
+  const actionLine = isActive
+    ? `<div style="font-size:0.78em;margin-top:3px"><span style="color:#4da3ff;opacity:0.8">&#10003; active</span>${manage}</div>`
+    : `<div style="font-size:0.78em;margin-top:3px">`
+      + `<a href="${cmdUri("claudeUsage.switchTo", [num])}" style="opacity:0.65">Switch to this account</a>`
+      + manage
+      + `</div>`;
+
+  let block = `<div style="margin-bottom:8px;border-radius:5px;overflow:hidden;${borderLeft}">`;
+
+  block += `<div style="padding:5px 10px 5px 8px;`
+    + (isActive ? `background:rgba(0,120,212,0.13)` : `background:rgba(127,127,127,0.07)`)
+    + `">`;
+
+  if (label) {
+    block += `<div style="font-weight:700;font-size:0.92em;margin-bottom:1px">${escapeHtml(label)}`
+      + ` <span style="opacity:0.4;font-weight:normal;font-size:0.85em">Account-${num}</span></div>`;
+  }
+  // Token is the reliable identity — always show it prominently
+  if (maskedToken) {
+    block += `<div style="font-family:monospace;font-size:0.88em;`
+      + (isActive ? `color:#4da3ff;font-weight:700` : `opacity:0.85;font-weight:600`)
+      + `">${escapeHtml(maskedToken)}</div>`;
+  }
+  // Email is a hint only — may be incorrect
+  if (email) {
+    block += `<div style="font-size:0.78em;opacity:0.5;margin-top:1px">${escapeHtml(email)}</div>`;
+  }
+  if (authState && AUTH_STATE_HTML[authState]) {
+    block += `<div style="font-size:0.78em;margin-top:2px">${AUTH_STATE_HTML[authState]}</div>`;
+  }
+  if (error) {
+    block += `<div style="font-size:0.78em;margin-top:2px;color:#e45649">$(error) ${escapeHtml(error)}</div>`;
+  }
+  if (stale || fetchError) {
+    const parts = [];
+    if (stale) parts.push(`as of ${formatAgo(fetchedAt)}`);
+    if (fetchError) parts.push(escapeHtml(describeFetchError(fetchError)));
+    block += `<div style="font-size:0.78em;margin-top:2px;color:#e5a11c">$(history) ${parts.join(" — ")}</div>`;
+  }
+  block += actionLine;
+  block += `</div>`;
+
+  // Usage bars
+  block += `<div style="padding:4px 8px 5px 8px">`;
+  block += `<table style="border-collapse:collapse;width:100%">`;
+  const windows = usageWindows(usage);
+  if (!windows.length) {
+    // Nothing fetched yet — keep the two headline rows as placeholders
+    windows.push(["five_hour", null], ["seven_day", null]);
+  }
+  for (const [key, w] of windows) {
+    const pct = w?.utilization ?? null;
+    const hk = HISTORY_KEYS[key];
+    block += usageRowHtml(windowLabel(key), pct !== null ? Math.round(pct) : null, w?.resets_at, hk ? sparkline(sub, hk) : "");
+    if (hk) block += forecastRowHtml(forecastWindow(sub, hk, pct, w?.resets_at));
+  }
+  block += `</table></div>`;
+
+  block += `</div>`;
+  return block;
+}
+
+function buildTooltip(accounts, currentSaved, pollError) {
+  const tip = new vscode.MarkdownString();
+  tip.isTrusted = true;
+  tip.supportHtml = true;
+  tip.supportThemeIcons = true;
+
+  const divider = `<div style="font-size:0.82em;opacity:0.3;letter-spacing:2px;margin:6px 0">──────────────────────</div>`;
+
+  let html = `<div style="padding:2px 0 4px 0"><strong>$(cloud) Claude Accounts</strong></div>`;
+  html += divider;
+
+  if (pollError) {
+    const current = accounts.find(a => a.isActive);
+    const asOf = current?.stale ? ` — showing usage as of ${formatAgo(current.fetchedAt)}` : "";
+    const retry = backoff.until > Date.now() ? `. Next attempt in ${formatDuration(backoff.until - Date.now())}` : "";
+    html += `<div style="margin-bottom:8px;padding:5px 8px;border-radius:5px;`
+      + `background:rgba(228,86,73,0.1);border:1px solid rgba(228,86,73,0.35);font-size:0.9em">`
+      + `$(warning) Usage API ${escapeHtml(describeFetchError(pollError))}${asOf}${retry}`
+      + `</div>`;
+  }
+
+  const mismatch = pinMismatch(accounts);
+  if (mismatch) {
+    const target = mismatch.num !== null
+      ? `&nbsp;<a href="${cmdUri("claudeUsage.switchTo", [mismatch.num])}"><strong>Switch to Account-${mismatch.num}</strong></a>`
+      : " — no saved account matches";
+    html += `<div style="margin-bottom:8px;padding:5px 8px;border-radius:5px;`
+      + `background:rgba(200,150,0,0.12);border:1px solid rgba(200,150,0,0.35);font-size:0.9em">`
+      + `$(pinned-dirty) Workspace pinned to <strong>${escapeHtml(mismatch.spec)}</strong>${target}`
+      + `</div>`;
+  }
+
+  // Save banner — shown when current account is not yet managed
+  if (!currentSaved) {
+    const uri = cmdUri("claudeUsage.saveAccount", []);
+    html += `<div style="margin-bottom:8px;padding:5px 8px;border-radius:5px;`
+      + `background:rgba(200,150,0,0.12);border:1px solid rgba(200,150,0,0.35);font-size:0.9em">`
+      + `Current account not saved &nbsp;<a href="${uri}"><strong>Save Account</strong></a>`
+      + `</div>`;
+  }
+
+  if (isPassphraseVault() && !vaultKey) {
+    const uri = cmdUri("claudeUsage.unlockVault", []);
+    html += `<div style="margin-bottom:8px;padding:5px 8px;border-radius:5px;`
+      + `background:rgba(127,127,127,0.1);border:1px solid rgba(127,127,127,0.3);font-size:0.9em">`
+      + `$(lock) Account vault locked &nbsp;<a href="${uri}"><strong>Unlock</strong></a>`
+      + `</div>`;
+  } else if (vaultKeyMissing) {
+    const uri = cmdUri("claudeUsage.unlockVault", []);
+    html += `<div style="margin-bottom:8px;padding:5px 8px;border-radius:5px;`
+      + `background:rgba(200,150,0,0.12);border:1px solid rgba(200,150,0,0.35);font-size:0.9em">`
+      + `$(key) Vault key not available in this editor &nbsp;<a href="${uri}"><strong>Recover</strong></a>`
+      + `</div>`;
+  }
+
+  if (accounts.length === 0) {
+    html += `<div style="opacity:0.5;font-style:italic;font-size:0.9em">No managed accounts yet.</div>`;
+  }
+
+  const active = accounts.filter(a => a.isActive);
+  const others = accounts.filter(a => !a.isActive);
+
+  for (const row of active) {
+    html += accountBlockHtml(row);
+  }
+
+  if (active.length > 0 && others.length > 0) {
+    html += `<div style="font-size:0.82em;opacity:0.3;letter-spacing:2px;margin:8px 0">──────────────────────</div>`;
+  }
+
+  for (const row of others) {
+    html += accountBlockHtml(row);
+  }
+
+  html += divider;
+
+  html += `<div style="opacity:0.4;font-size:0.82em">`
+    + `<a href="${cmdUri("claudeUsage.refresh", [])}">$(refresh) Refresh</a>`
+    + `&nbsp;&nbsp;<a href="${cmdUri("claudeUsage.openDashboard", [])}">$(dashboard) Dashboard</a>`
+    + `&nbsp;&nbsp;<a href="${cmdUri("claudeUsage.showHistory", [])}">$(graph-line) History</a>`
+    + `&nbsp;&nbsp;<a href="${cmdUri("claudeUsage.showDebug", [])}">$(bug) Debug</a>`
+    + `</div>`
+    + `<div style="opacity:0.35;font-size:0.78em">$(remote) ${escapeHtml(hostLabel())} · ${escapeHtml(displayPath(CLAUDE_DIR))}</div>`;
+
+  const share = workspaceShareToday();
+  if (share) {
+    html += `<div style="opacity:0.5;font-size:0.78em">`
+      + `<a href="${cmdUri("claudeUsage.showUsageBreakdown", [1])}">$(pie-chart) This workspace: ${Math.round(share.share * 100)}% of today's tokens</a>`
+      + ` (${formatTokens(share.tokens)} of ${formatTokens(share.total)})</div>`;
+  }
+
+  tip.appendMarkdown(html);
+  return tip;
+}
+
+// ─── History webview ─────────────────────────────────────────────────────────
+
+const CHART_W = 640;
+const CHART_H = 140;
+
+function historyChartSvg(entries, fromMs, toMs) {
+  const x = t => ((t - fromMs) / (toMs - fromMs) * CHART_W).toFixed(1);
+  const y = v => (CHART_H - v / 100 * CHART_H).toFixed(1);
+  const line = (key, color) => {
+    const pts = entries.filter(e => e[key] !== null && e[key] !== undefined).map(e => `${x(e.t)},${y(e[key])}`);
+    return pts.length ? `<polyline fill="none" stroke="${color}" stroke-width="1.5" points="${pts.join(" ")}"/>` : "";
+  };
+  let grid = "";
+  for (const v of [25, 50, 75, 100]) {
+    grid += `<line x1="0" x2="${CHART_W}" y1="${y(v)}" y2="${y(v)}" class="grid"/>`
+      + `<text x="2" y="${Number(y(v)) + 10}" class="axis">${v}%</text>`;
+  }
+  for (let t = Math.ceil(fromMs / 86400_000) * 86400_000; t < toMs; t += 86400_000) {
+    grid += `<line x1="${x(t)}" x2="${x(t)}" y1="0" y2="${CHART_H}" class="grid"/>`
+      + `<text x="${Number(x(t)) + 2}" y="${CHART_H - 2}" class="axis">${new Date(t).toLocaleDateString()}</text>`;
+  }
+  return `<svg viewBox="0 0 ${CHART_W} ${CHART_H}" width="100%" preserveAspectRatio="none">`
+    + grid + line("d7", "#4da3ff") + line("h5", "#e5a11c") + `</svg>`;
+}
+
+function buildHistoryHtml(webview) {
+  const seq = getSeqData();
+  const now = Date.now();
+  const from = now - cfg().get("history.retentionDays", 7) * 86400_000;
+  const bySub = new Map();
+  for (const e of loadHistory()) {
+    if (e.t < from) continue;
+    if (!bySub.has(e.sub)) bySub.set(e.sub, []);
+    bySub.get(e.sub).push(e);
+  }
+
+  const accounts = Object.entries(seq?.accounts || {});
+  let body = "";
+  for (const [sub, entries] of bySub) {
+    const match = accounts.find(([, a]) => a.sub === sub);
+    const title = match ? `Account-${match[0]}` : "Unsaved account";
+    const hint = match?.[1].email || "";
+    const last = entries[entries.length - 1];
+    body += `<section><h2>${escapeHtml(title)} <span class="hint">${escapeHtml(hint)}</span></h2>`
+      + `<div class="now">5h ${last.h5 !== null ? Math.round(last.h5) + "%" : "?"}`
+      + ` · 7d ${last.d7 !== null ? Math.round(last.d7) + "%" : "?"}`
+      + ` · ${entries.length} samples</div>`
+      + historyChartSvg(entries, from, now)
+      + `</section>`;
+  }
+  if (!body) body = `<p class="hint">No usage history recorded yet.</p>`;
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8">`
+    + `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline';">`
+    + `<style>`
+    + `body{font-family:var(--vscode-font-family);color:var(--vscode-foreground);padding:0 16px}`
+    + `section{margin:18px 0;padding:10px 12px;border-radius:6px;background:rgba(127,127,127,0.07)}`
+    + `h2{font-size:1.05em;margin:0 0 4px 0}.hint{opacity:0.5;font-weight:normal;font-size:0.85em}`
+    + `.now{font-size:0.85em;opacity:0.8;margin-bottom:6px}`
+    + `.grid{stroke:rgba(127,127,127,0.2);stroke-width:0.5}.axis{fill:currentColor;opacity:0.45;font-size:9px}`
+    + `.legend span{display:inline-block;margin-right:14px;font-size:0.85em}`
+    + `</style></head><body>`
+    + `<h1>Claude Usage History</h1>`
+    + `<div class="legend"><span style="color:#e5a11c">━ 5h session</span><span style="color:#4da3ff">━ 7d weekly</span></div>`
+    + body
+    + `</body></html>`;
+}
+
+function showHistoryPanel() {
+  const panel = vscode.window.createWebviewPanel(
+    "claudeUsage.history", "Claude Usage History", vscode.ViewColumn.Active, { enableScripts: false }
+  );
+  panel.webview.html = buildHistoryHtml(panel.webview);
+}
+
+// ─── Usage breakdown webview ─────────────────────────────────────────────────
+
+const BREAKDOWN_RANGES = [[1, "Today"], [7, "7 days"], [30, "30 days"]];
+let breakdownPanel = null;
+
+function transcriptAccountName(sub, accounts) {
+  if (!sub) return "Before tracking started";
+  const match = accounts.find(([, a]) => a.sub === sub);
+  return match ? accountDisplayName(match[0], match[1]) : "Unsaved account";
+}
+
+function breakdownTableHtml(title, groups, nameHtml) {
+  const rows = [...groups.entries()].sort(([, a], [, b]) => totalTokens(b) - totalTokens(a));
+  const grand = rows.reduce((sum, [, c]) => sum + totalTokens(c), 0);
+  let html = `<section><h2>${escapeHtml(title)}</h2><table>`
+    + `<tr><th></th><th>Input</th><th>Output</th><th>Cache write</th><th>Cache read</th><th>Total</th><th></th></tr>`;
+  for (const [name, c] of rows) {
+    const share = grand ? totalTokens(c) / grand * 100 : 0;
+    html += `<tr><td class="name">${nameHtml(name)}</td>`
+      + `<td>${formatTokens(c.input)}</td><td>${formatTokens(c.output)}</td>`
+      + `<td>${formatTokens(c.cacheWrite)}</td><td>${formatTokens(c.cacheRead)}</td>`
+      + `<td><strong>${formatTokens(totalTokens(c))}</strong></td>`
+      + `<td class="share"><div class="bar"><div style="width:${share.toFixed(1)}%"></div></div>${Math.round(share)}%</td></tr>`;
+  }
+  return html + `</table></section>`;
+}
+
+function buildBreakdownHtml(webview, days) {
+  const since = localDay(Date.now() - (days - 1) * 86400_000);
+  const accounts = Object.entries(getSeqData()?.accounts || {});
+  const byWorkspace = aggregateTranscripts(since, (day, cwd) => cwd);
+  const byModel = aggregateTranscripts(since, (day, cwd, model) => model);
+  const byAccount = aggregateTranscripts(since, (day, cwd, model, sub) => transcriptAccountName(sub, accounts));
+  const byDay = aggregateTranscripts(since, day => day);
+  const total = [...byDay.values()].reduce((sum, c) => addTokenCounts(sum, c), emptyTokenCounts());
+
+  const tabs = BREAKDOWN_RANGES.map(([d, label]) => d === days
+    ? `<strong>${label}</strong>`
+    : `<a href="${cmdUri("claudeUsage.showUsageBreakdown", [d])}">${label}</a>`).join(" · ");
+  const scannedAt = loadTranscriptIndex().scannedAt;
+
+  let body = "";
+  if (!byDay.size) {
+    body = `<p class="hint">No Claude Code transcripts found under ${escapeHtml(displayPath(projectsDir()))} for this period.</p>`;
+  } else {
+    const workspaceName = cwd => `${escapeHtml(path.basename(cwd) || cwd)} <span class="hint">${escapeHtml(displayPath(cwd))}</span>`
+      + (inCurrentWorkspace(cwd) ? ` <span class="here">this workspace</span>` : "");
+    body = `<div class="now">${formatTokens(totalTokens(total))} tokens in ${total.messages} replies</div>`
+      + breakdownTableHtml("By workspace", byWorkspace, workspaceName)
+      + breakdownTableHtml("By model", byModel, escapeHtml)
+      + breakdownTableHtml("By account", byAccount, escapeHtml)
+      + (days > 1 ? breakdownTableHtml("By day", new Map([...byDay].sort(([a], [b]) => b.localeCompare(a))), escapeHtml) : "");
+  }
+
+  return `<!DOCTYPE html><html><head><meta charset="utf-8">`
+    + `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline';">`
+    + `<style>`
+    + `body{font-family:var(--vscode-font-family);color:var(--vscode-foreground);padding:0 16px}`
+    + `section{margin:18px 0;padding:10px 12px;border-radius:6px;background:rgba(127,127,127,0.07)}`
+    + `h2{font-size:1.05em;margin:0 0 6px 0}.hint{opacity:0.5;font-weight:normal;font-size:0.85em}`
+    + `.now{font-size:0.9em;opacity:0.8;margin:8px 0}.here{font-size:0.75em;padding:0 5px;border-radius:6px;background:#4da3ff;color:#fff}`
+    + `table{width:100%;border-collapse:collapse;font-size:0.88em}th{text-align:right;opacity:0.6;font-weight:normal}`
+    + `td{text-align:right;padding:3px 6px;font-variant-numeric:tabular-nums}td.name{text-align:left}`
+    + `td.share{width:140px;white-space:nowrap}.bar{display:inline-block;width:90px;height:6px;margin-right:6px;border-radius:3px;background:rgba(127,127,127,0.18)}`
+    + `.bar div{height:100%;border-radius:3px;background:#4da3ff}`
+    + `</style></head><body>`
+    + `<h1>Where did my usage go?</h1>`
+    + `<div>${tabs}</div>`
+    + body
+    + `<p class="hint">Counted from Claude Code transcripts on this machine`
+    + (scannedAt ? `, scanned ${formatAgo(scannedAt)}` : "")
+    + `. Accounts are attributed from when this extension saw each one active.</p>`
+    + `</body></html>`;
+}
+
+async function showUsageBreakdown(days = 7) {
+  if (!breakdownPanel) {
+    breakdownPanel = vscode.window.createWebviewPanel(
+      "claudeUsage.breakdown", "Where Did My Usage Go?", vscode.ViewColumn.Active,
+      { enableScripts: false, enableCommandUris: true }
+    );
+    breakdownPanel.onDidDispose(() => { breakdownPanel = null; });
+  } else {
+    breakdownPanel.reveal();
+  }
+  await scanTranscripts();
+  if (breakdownPanel) breakdownPanel.webview.html = buildBreakdownHtml(breakdownPanel.webview, days);
+}
+
+// ─── Dashboard webview ───────────────────────────────────────────────────────
+//
+// A persistent view of every account. The page is a static shell; state is
+// pushed over postMessage after each render, and countdowns tick client-side
+// so the panel stays live between polls.
+
+let dashboardPanel = null;
+
+const DASHBOARD_COMMANDS = {
+  switch: "claudeUsage.switchTo",
+  refresh: "claudeUsage.refresh",
+  save: "claudeUsage.saveAccount",
+  rename: "claudeUsage.renameAccount",
+  remove: "claudeUsage.removeAccount",
+  unlock: "claudeUsage.unlockVault",
+};
+
+function dashboardState() {
+  const snap = apiSnapshot();
+  return {
+    ...snap,
+    accounts: snap.accounts.map(a => ({
+      ...a,
+      windows: Object.fromEntries(Object.entries(a.windows).map(([key, w]) => [key, { ...w, color: barColor(w.utilization) }])),
+    })),
+    currentSaved: lastRefresh?.currentSaved ?? true,
+    pollError: lastRefresh?.error ? describeFetchError(lastRefresh.error) : null,
+    vaultLocked: isPassphraseVault() && !vaultKey,
+    vaultKeyMissing: !isPassphraseVault() && vaultKeyMissing,
+    role: isLeader ? "leader" : "follower",
+  };
+}
+
+function postDashboardState() {
+  dashboardPanel?.webview.postMessage({ type: "state", state: dashboardState() });
+}
+
+const DASHBOARD_SCRIPT = `
+const vscode = acquireVsCodeApi();
+let state = null;
+
+function el(tag, cls, text) {
+  const e = document.createElement(tag);
+  if (cls) e.className = cls;
+  if (text !== undefined) e.textContent = text;
+  return e;
+}
+
+function dur(ms) {
+  if (ms <= 0) return "now";
+  const d = Math.floor(ms / 86400000), h = Math.floor(ms % 86400000 / 3600000);
+  const m = Math.floor(ms % 3600000 / 60000), s = Math.floor(ms % 60000 / 1000);
+  return d ? d + "d " + h + "h" : h ? h + "h " + m + "m" : m ? m + "m " + s + "s" : s + "s";
+}
+
+function button(label, command, num) {
+  const b = el("button", "", label);
+  b.onclick = () => vscode.postMessage({ command, num });
+  return b;
+}
+
+function banner(text, action) {
+  const b = el("div", "banner", text);
+  if (action) b.append(" ", action);
+  return b;
+}
+
+function card(a) {
+  const c = el("section", a.isActive ? "card active" : "card");
+  const title = el("h2", "", a.label || (a.num ? "Account-" + a.num : "Current login"));
+  if (a.label && a.num) title.append(" ", el("span", "hint", "Account-" + a.num));
+  if (a.isActive) title.append(" ", el("span", "badge", "active"));
+  c.append(title);
+  if (a.email) c.append(el("div", "hint", a.email));
+
+  const windows = Object.values(a.windows);
+  for (const w of windows) {
+    const row = el("div", "window");
+    const head = el("div", "window-head");
+    head.append(el("span", "", w.label), el("strong", "", Math.round(w.utilization) + "%"));
+    const bar = el("div", "bar");
+    const fill = el("div", "fill");
+    fill.style.width = Math.min(100, Math.max(0, w.utilization)) + "%";
+    fill.style.background = w.color;
+    bar.append(fill);
+    row.append(head, bar);
+    if (w.resetsAt) {
+      const reset = el("div", "hint");
+      reset.dataset.reset = w.resetsAt;
+      row.append(reset);
+    }
+    c.append(row);
+  }
+  if (!windows.length) c.append(el("div", "hint", "No usage data"));
+
+  const status = el("div", "status");
+  if (a.fetchedAt) {
+    const fetched = el("span");
+    fetched.dataset.fetched = a.fetchedAt;
+    status.append(fetched);
+  }
+  if (a.stale) status.append(el("span", "warn", " · stale"));
+  if (a.authState === "refreshed") status.append(el("span", "", " · token refreshed"));
+  if (a.authState === "relogin") status.append(el("span", "warn", " · needs re-login"));
+  else if (a.authState === "stale") status.append(el("span", "warn", " · token expired, refresh pending"));
+  c.append(status);
+  if (a.error) c.append(el("div", "error", a.error));
+
+  const actions = el("div", "actions");
+  if (a.num && !a.isActive) actions.append(button("Switch", "switch", a.num));
+  if (a.num) actions.append(button("Rename", "rename", a.num), button("Remove", "remove", a.num));
+  if (!a.num) actions.append(button("Save Account", "save"));
+  c.append(actions);
+  return c;
+}
+
+function render() {
+  const banners = document.getElementById("banners");
+  banners.replaceChildren();
+  if (state.pollError) banners.append(banner("Usage API " + state.pollError));
+  if (state.vaultLocked) banners.append(banner("Account vault is locked — saved accounts can't be read.", button("Unlock", "unlock")));
+  if (state.vaultKeyMissing) banners.append(banner("The account vault key isn't available in this editor — saved accounts can't be read.", button("Recover", "unlock")));
+  if (!state.currentSaved) banners.append(banner("The current login isn't saved.", button("Save Account", "save")));
+
+  const root = document.getElementById("accounts");
+  root.replaceChildren(...state.accounts.map(card));
+  if (!state.accounts.length) root.append(el("p", "hint", "No usage yet — waiting for the first poll."));
+  document.getElementById("meta").textContent = state.host + " · " + (state.role === "leader" ? "this window polls" : "following another window");
+  tick();
+}
+
+function tick() {
+  const now = Date.now();
+  document.querySelectorAll("[data-reset]").forEach(e => {
+    e.textContent = "resets in " + dur(new Date(e.dataset.reset) - now);
+  });
+  document.querySelectorAll("[data-fetched]").forEach(e => {
+    const age = now - new Date(e.dataset.fetched);
+    e.textContent = age < 5000 ? "fetched just now" : "fetched " + dur(age) + " ago";
+  });
+}
+
+window.addEventListener("message", e => {
+  if (e.data?.type !== "state") return;
+  state = e.data.state;
+  render();
+});
+setInterval(() => state && tick(), 1000);
+vscode.postMessage({ command: "ready" });
+`;
+
+function buildDashboardHtml(webview) {
+  const nonce = crypto.randomBytes(16).toString("base64");
+  return `<!DOCTYPE html><html><head><meta charset="utf-8">`
+    + `<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src ${webview.cspSource} 'unsafe-inline'; script-src 'nonce-${nonce}';">`
+    + `<style>`
+    + `body{font-family:var(--vscode-font-family);color:var(--vscode-foreground);padding:0 16px}`
+    + `header{display:flex;align-items:center;gap:12px}header h1{flex:1}`
+    + `#accounts{display:grid;grid-template-columns:repeat(auto-fill,minmax(250px,1fr));gap:12px;margin:12px 0}`
+    + `.card{padding:10px 12px;border-radius:6px;background:rgba(127,127,127,0.07);border-left:3px solid transparent}`
+    + `.card.active{background:rgba(0,120,212,0.13);border-left-color:#4da3ff}`
+    + `h2{font-size:1.05em;margin:0 0 2px 0}.hint{opacity:0.55;font-weight:normal;font-size:0.85em}`
+    + `.badge{font-size:0.7em;font-weight:normal;padding:1px 6px;border-radius:8px;background:#4da3ff;color:#fff;vertical-align:middle}`
+    + `.window{margin-top:8px}.window-head{display:flex;justify-content:space-between;font-size:0.9em}`
+    + `.bar{height:6px;border-radius:3px;background:rgba(127,127,127,0.18);margin:3px 0;overflow:hidden}.fill{height:100%}`
+    + `.status{margin-top:8px;font-size:0.8em;opacity:0.7}.warn{color:#e5a11c}.error{color:#e45649;font-size:0.85em;margin-top:4px}`
+    + `.banner{margin:8px 0;padding:5px 8px;border-radius:5px;background:rgba(200,150,0,0.12);border:1px solid rgba(200,150,0,0.35);font-size:0.9em}`
+    + `.actions{margin-top:10px;display:flex;gap:6px;flex-wrap:wrap}`
+    + `button{background:var(--vscode-button-secondaryBackground);color:var(--vscode-button-secondaryForeground);border:none;padding:3px 10px;border-radius:2px;cursor:pointer}`
+    + `button:hover{background:var(--vscode-button-secondaryHoverBackground)}`
+    + `</style></head><body>`
+    + `<header><h1>Claude Usage</h1><span id="meta" class="hint"></span><button id="refresh">Refresh</button></header>`
+    + `<div id="banners"></div><div id="accounts"></div>`
+    + `<script nonce="${nonce}">${DASHBOARD_SCRIPT}`
+    + `document.getElementById("refresh").onclick = () => vscode.postMessage({ command: "refresh" });</script>`
+    + `</body></html>`;
+}
+
+function showDashboard() {
+  if (dashboardPanel) {
+    dashboardPanel.reveal();
+    return;
+  }
+  const panel = vscode.window.createWebviewPanel(
+    "claudeUsage.dashboard", "Claude Usage", vscode.ViewColumn.Active, { enableScripts: true }
+  );
+  panel.webview.html = buildDashboardHtml(panel.webview);
+  panel.webview.onDidReceiveMessage(async msg => {
+    if (msg?.command === "ready") return postDashboardState();
+    const command = DASHBOARD_COMMANDS[msg?.command];
+    if (!command) return;
+    const args = Number.isInteger(msg.num) ? [msg.num] : [];
+    await vscode.commands.executeCommand(command, ...args);
+    postDashboardState();
+  });
+  panel.onDidDispose(() => { dashboardPanel = null; });
+  dashboardPanel = panel;
+}
+
+// ─── Debug data builder ──────────────────────────────────────────────────────
+
+function buildDebugData(rows) {
+  const files = {
     CREDS_FILE: { path: CREDS_FILE, exists: fs.existsSync(CREDS_FILE) },
     CLAUDE_CONFIG_PRIMARY: { path: CLAUDE_CONFIG_PRIMARY, exists: fs.existsSync(CLAUDE_CONFIG_PRIMARY) },
     CLAUDE_CONFIG_FALLBACK: { path: CLAUDE_CONFIG_FALLBACK, exists: fs.existsSync(CLAUDE_CONFIG_FALLBACK) },
     SEQUENCE_FILE: { path: SEQUENCE_FILE, exists: fs.existsSync(SEQUENCE_FILE) },
   };
 
-  const accounts = rows.map(({ num, email, sub, maskedToken, isActive, usage, tokenSource }) => {
-    const credsText = isActive ? readCurrentCredentials() : readBackupCreds(String(num));
-    const token = credsText ? getToken(credsText) : null;
-    const jwtPayload = token ? decodeJwtPayload(token) : null;
-    return {
-      num,
-      isActive,
-      tokenSource: tokenSource ?? null,
-      token: maskedToken ?? maskToken(token),
-      sub: sub ?? null,
-      jwtPayload: jwtPayload ?? null,
-      emailHint: email ?? null,    // display-only, may be wrong
-      usage: usage ?? null,
-    };
+  const accounts = rows.map(({ num, label, email, sub, maskedToken, isActive, usage, tokenSource, error, authState, fetchError, fetchedAt, stale }) => {
+    let credsText = null;
+    try { credsText = isActive ? readCurrentCredentials() : readBackupCreds(String(num)); } catch {}
+    const token = credsText ? getToken(credsText) : null;
+    const jwtPayload = token ? decodeJwtPayload(token) : null;
+    return {
+      num,
+      label: label ?? null,
+      isActive,
+      tokenSource: tokenSource ?? null,
+      token: maskedToken ?? maskToken(token),
+      sub: sub ?? null,
+      jwtPayload: jwtPayload ?? null,
+      emailHint: email ?? null,    // display-only, may be wrong
+      authState: authState ?? null,
+      usage: usage ?? null,
+      usageFetchedAt: fetchedAt ? new Date(fetchedAt).toISOString() : null,
+      usageIsCached: !!stale,
+      fetchError: fetchError
+        ? { kind: fetchError.kind, status: fetchError.status, message: fetchError.message, retryAfterMs: fetchError.retryAfterMs }
+        : null,
+      error: error ?? null,
+    };
+  });
+
+  const vault = { mode: getVaultMeta().mode, unlocked: !!vaultKey };
+  const polling = {
+    role: isLeader ? "leader" : "follower",
+    windowId,
+    sharedCacheAt: lastRefresh?.sharedAt ? new Date(lastRefresh.sharedAt).toISOString() : null,
+    intervalMs: pollMs(),
+    backoffFailures: backoff.failures,
+    backoffUntil: backoff.until ? new Date(backoff.until).toISOString() : null,
+  };
+  const host = {
+    label: hostLabel(),
+    remoteName: vscode.env.remoteName || null,
+    hostname: os.hostname(),
+    claudeDir: CLAUDE_DIR,
+    claudeDirSource,
+  };
+  const network = {
+    usageUrl: usageUrl(),
+    tokenUrl: TOKEN_URL,
+    caFiles: cfg().get("network.caFiles", []),
+    routes: routeLog,
+  };
+  return { fetchedAt: new Date().toISOString(), host, files, vault, polling, network, workspacePin: workspacePin(), accounts };
+}
+
+// ─── Diagnostics report ──────────────────────────────────────────────────────
+//
+// A shareable counterpart to showDebug. Identifiers (sub, email, label,
+// hostname) are hashed with a salt that is new for every report, or dropped,
+// per diagnostics.identifiers; JWT claims not listed in diagnostics.keepClaims
+// are removed, and tokens never appear, not even masked. The self-test checks
+// the usage endpoint once (DNS, TLS) and then each account's token against it
+// (HTTP status, response shape) without refreshing anything.
+
+function makeRedactor() {
+  const mode = cfg().get("diagnostics.identifiers", "hash");
+  const salt = crypto.randomBytes(16);
+  return value => {
+    if (value === null || value === undefined || value === "") return null;
+    if (mode === "drop") return "[redacted]";
+    return "id:" + crypto.createHmac("sha256", salt).update(String(value)).digest("hex").slice(0, 10);
+  };
+}
+
+// Anthropic's own hosts stay readable; gateways, proxies and directories
+// outside HOME tend to carry internal or personal names, so they are hashed
+// like the hostname.
+const PUBLIC_API_HOSTS = new Set(["api.anthropic.com", "console.anthropic.com"]);
+
+function redactHost(host, redact) {
+  return PUBLIC_API_HOSTS.has(String(host).toLowerCase()) ? host : redact(host);
+}
+
+function redactUrl(url, redact) {
+  let u;
+  try { u = new URL(url); } catch { return redact(url); }
+  return `${u.protocol}//${redactHost(u.hostname, redact)}${u.port ? `:${u.port}` : ""}${u.pathname}`;
+}
+
+// Route descriptions name the proxy, e.g. "proxy http://proxy.corp:3128 (…)".
+function redactRoute(route, redact) {
+  return route ? route.replace(/(proxy [a-z]+:\/\/)([^\s:)]+)/, (_, scheme, host) => scheme + redactHost(host, redact)) : null;
+}
+
+function redactPath(p, redact) {
+  const shown = displayPath(expandHome(p));
+  return shown.startsWith("~") ? shown : path.join(redact(path.dirname(shown)), path.basename(shown));
+}
+
+function redactClaims(payload) {
+  if (!payload) return null;
+  const keep = cfg().get("diagnostics.keepClaims", ["iss", "aud", "exp", "iat", "scope"]);
+  const kept = Object.fromEntries(Object.entries(payload).filter(([k]) => keep.includes(k)));
+  return { ...kept, droppedClaims: Object.keys(payload).length - Object.keys(kept).length };
+}
+
+async function timedCheck(fn) {
+  const started = Date.now();
+  try {
+    return { ok: true, ...(await fn()), ms: Date.now() - started };
+  } catch (e) {
+    return { ok: false, error: e.code || e.message, ms: Date.now() - started };
+  }
+}
+
+function dnsCheck(u) {
+  return timedCheck(async () => {
+    const addrs = await dns.promises.lookup(u.hostname, { all: true });
+    return { host: u.hostname, addresses: addrs.length, families: [...new Set(addrs.map(a => `IPv${a.family}`))] };
+  });
+}
+
+function tlsCheck(u) {
+  return timedCheck(() => new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host: u.hostname,
+      port: Number(defaultPort(u)),
+      servername: u.hostname,
+      ...tlsOptions(false),
+      rejectUnauthorized: false, // report the verdict rather than fail on it
+    }, () => {
+      const cert = socket.getPeerCertificate();
+      resolve({
+        ok: socket.authorized,
+        protocol: socket.getProtocol(),
+        authorizationError: socket.authorizationError ? String(socket.authorizationError) : null,
+        issuer: cert?.issuer?.O || cert?.issuer?.CN || null,
+        validTo: cert?.valid_to || null,
+      });
+      socket.end();
+    });
+    socket.setTimeout(REQUEST_TIMEOUT_MS, () => socket.destroy(new Error("TLS handshake timed out")));
+    socket.on("error", reject);
+  }));
+}
+
+function usageShapeCheck(data) {
+  const windows = usageWindows(data).map(([key]) => key);
+  const missing = Object.keys(HISTORY_KEYS).filter(k => !windows.includes(k));
+  return { ok: windows.length > 0, windows, missing };
+}
+
+async function endpointSelfTest(redact) {
+  const u = new URL(usageUrl());
+  const { proxy, source } = proxyFor(u);
+  const result = {
+    url: redactUrl(u.href, redact),
+    proxy: proxy ? `${redactUrl(proxy.origin, redact).replace(/\/$/, "")} (from ${source})` : null,
+  };
+  result.dns = await dnsCheck(proxy || u);
+  if (result.dns.host) result.dns.host = redactHost(result.dns.host, redact);
+  if (proxy) result.tls = { skipped: "requests are tunnelled through the proxy; see the per-account HTTP check" };
+  else if (u.protocol !== "https:") result.tls = { skipped: "endpoint is plain HTTP" };
+  else result.tls = await tlsCheck(u);
+  // A corporate CA's name identifies the employer as well as a hostname does
+  if (result.tls.issuer) result.tls.issuer = redact(result.tls.issuer);
+  return result;
+}
+
+async function accountSelfTest(row, redact) {
+  let credsText = null;
+  try { credsText = row.isActive ? readCurrentCredentials() : readBackupCreds(String(row.num)); }
+  catch (e) { return { http: { skipped: e.message } }; }
+  const token = credsText ? getToken(credsText) : null;
+  if (!token) return { http: { skipped: "no token" } };
+
+  const started = Date.now();
+  const res = await apiGet(token, usageUrl());
+  return {
+    tokenExpired: credsExpired(credsText),
+    http: {
+      ok: res.ok,
+      status: res.status,
+      kind: res.kind ?? null,
+      message: res.ok ? null : res.message,
+      route: redactRoute(res.route, redact),
+      ms: Date.now() - started,
+    },
+    shape: res.ok ? usageShapeCheck(res.data) : { skipped: "no successful response" },
+  };
+}
+
+function nonDefaultSettings(redact) {
+  const props = extContext?.extension?.packageJSON?.contributes?.configuration?.properties || {};
+  const out = {};
+  for (const [fullKey, schema] of Object.entries(props)) {
+    const key = fullKey.replace(/^claudeUsage\./, "");
+    const value = cfg().get(key);
+    if (value === undefined || JSON.stringify(value) === JSON.stringify(schema.default)) continue;
+    if (key === "workspace.pinnedAccount") out[key] = redact(value);
+    else if (key === "claudeConfigDir") out[key] = redactPath(value, redact);
+    else if (key === "network.caFiles") out[key] = value.map(f => redactPath(f, redact));
+    else if (key === "network.baseUrl") out[key] = redactUrl(value, redact);
+    else out[key] = value;
+  }
+  return out;
+}
+
+async function buildDiagnostics(progress) {
+  const redact = makeRedactor();
+  const rows = lastRefresh?.rows || [];
+
+  progress?.report({ message: "checking the usage endpoint" });
+  const endpoint = await endpointSelfTest(redact);
+
+  const accounts = [];
+  for (const row of rows) {
+    progress?.report({ message: `testing ${row.num ? `Account-${row.num}` : "the current login"}` });
+    let claims = null;
+    try {
+      const credsText = row.isActive ? readCurrentCredentials() : readBackupCreds(String(row.num));
+      const token = credsText ? getToken(credsText) : null;
+      claims = token ? redactClaims(decodeJwtPayload(token)) : null;
+    } catch {}
+    accounts.push({
+      num: row.num ?? null,
+      label: redact(row.label),
+      sub: redact(row.sub),
+      email: redact(row.email),
+      isActive: !!row.isActive,
+      authState: row.authState ?? null,
+      jwtClaims: claims,
+      lastPoll: {
+        fetchedAt: row.fetchedAt ? new Date(row.fetchedAt).toISOString() : null,
+        cached: !!row.stale,
+        windows: Object.fromEntries(usageWindows(row.usage).map(([k, w]) => [k, w.utilization])),
+        error: row.error ?? null,
+        fetchError: slimFetchError(row.fetchError),
+      },
+      selfTest: await accountSelfTest(row, redact),
+    });
+  }
+
+  return {
+    generatedAt: new Date().toISOString(),
+    redaction: {
+      identifiers: cfg().get("diagnostics.identifiers", "hash"),
+      keepClaims: cfg().get("diagnostics.keepClaims", ["iss", "aud", "exp", "iat", "scope"]),
+    },
+    versions: {
+      extension: extContext?.extension?.packageJSON?.version ?? null,
+      vscode: vscode.version,
+      app: vscode.env.appName,
+      remote: vscode.env.remoteName || null,
+      node: process.versions.node,
+      electron: process.versions.electron ?? null,
+      platform: `${process.platform} ${os.release()} ${process.arch}`,
+    },
+    host: {
+      hostname: redact(os.hostname()),
+      claudeDir: redactPath(CLAUDE_DIR, redact),
+      claudeDirSource,
+    },
+    settings: nonDefaultSettings(redact),
+    vault: { mode: getVaultMeta().mode, unlocked: !!vaultKey },
+    polling: {
+      role: isLeader ? "leader" : "follower",
+      intervalMs: pollMs(),
+      backoffFailures: backoff.failures,
+      backoffUntil: backoff.until ? new Date(backoff.until).toISOString() : null,
+      lastError: slimFetchError(lastRefresh?.error),
+    },
+    files: [CREDS_FILE, CLAUDE_CONFIG_PRIMARY, CLAUDE_CONFIG_FALLBACK, SEQUENCE_FILE]
+      .map(f => ({ path: redactPath(f, redact), exists: fs.existsSync(f) })),
+    permissions: credentialFileModes().map(m => ({
+      path: redactPath(m.path, redact),
+      mode: m.mode.toString(8),
+      expected: m.expected.toString(8),
+      ok: m.mode === m.expected,
+    })),
+    endpoint,
+    recentRequests: routeLog.map(r => ({ ...r, url: redactUrl(r.url, redact), route: redactRoute(r.route, redact) })),
+    accounts,
+  };
+}
+
+async function generateDiagnosticsCommand() {
+  const report = await vscode.window.withProgress(
+    { location: vscode.ProgressLocation.Notification, title: "Claude Usage diagnostics" },
+    progress => buildDiagnostics(progress)
+  );
+  const text = JSON.stringify(report, null, 2);
+  await vscode.env.clipboard.writeText(text);
+  const doc = await vscode.workspace.openTextDocument({ language: "json", content: text });
+  await vscode.window.showTextDocument(doc, { preview: true });
+  const how = report.redaction.identifiers === "drop" ? "removed" : "hashed";
+  vscode.window.showInformationMessage(`Diagnostics copied to the clipboard. Identifiers are ${how} and tokens left out — review before sharing.`);
+}
+
+// ─── File watchers ───────────────────────────────────────────────────────────
+//
+// Directories are watched rather than the files themselves so atomic
+// temp-file-and-rename writes (ours and Claude Code's) are still seen.
+
+const WATCH_DEBOUNCE_MS = 750;
+
+function watchTargets() {
+  const targets = new Map();
+  const add = file => {
+    const dir = path.dirname(file);
+    if (!targets.has(dir)) targets.set(dir, new Map());
+    targets.get(dir).set(path.basename(file), file);
+  };
+  [CREDS_FILE, CLAUDE_CONFIG_PRIMARY, CLAUDE_CONFIG_FALLBACK, SEQUENCE_FILE, VAULT_FILE].forEach(add);
+  [LEADER_FILE, USAGE_CACHE_FILE, REFRESH_REQUEST_FILE, SWITCH_MARKER_FILE].forEach(add);
+  return targets;
+}
+
+function startWatchers() {
+  stopWatchers();
+  credsSnapshot = takeCredsSnapshot();
+  for (const [dir, files] of watchTargets()) {
+    try {
+      const w = fs.watch(dir, { persistent: false }, (event, filename) => {
+        if (filename && !files.has(String(filename))) return;
+        for (const [name, file] of files) {
+          if (!filename || name === String(filename)) pendingWatchFiles.add(file);
+        }
+        clearTimeout(watchTimer);
+        watchTimer = setTimeout(flushWatchedChanges, WATCH_DEBOUNCE_MS);
+      });
+      w.on("error", () => {});
+      watchers.push(w);
+    } catch {
+      log(`Not watching ${dir} (missing or unreadable); relying on polling`);
+    }
+  }
+}
+
+function stopWatchers() {
+  clearTimeout(watchTimer);
+  for (const w of watchers) { try { w.close(); } catch {} }
+  watchers = [];
+}
+
+function takeCredsSnapshot() {
+  const text = readCurrentCredentials();
+  const token = text ? getToken(text) : null;
+  return {
+    text,
+    token,
+    sub: token ? getSubFromCreds(text) : null,
+    accountUuid: readJSON(getConfigPath())?.oauthAccount?.accountUuid ?? null,
+  };
+}
+
+// One of logout | token-rotation | new-account | account-change, or null when
+// the credentials did not change. Opaque tokens are fingerprinted, so their sub
+// changes on rotation; the config's accountUuid tells rotation from re-login.
+function classifyCredsChange(prev, next) {
+  if (!next.token) return prev?.token ? "logout" : null;
+  if (prev?.text === next.text) return null;
+  if (prev?.token) {
+    if (prev.sub === next.sub) return "token-rotation";
+    const opaque = String(prev.sub).startsWith("fp-") && String(next.sub).startsWith("fp-");
+    if (opaque && prev.accountUuid && prev.accountUuid === next.accountUuid) return "token-rotation";
+  }
+  return isSaved(getSeqData(), next.sub) ? "account-change" : "new-account";
+}
+
+// Claude Code rotated the live token: the refresh token in the backup is now
+// dead, so copy the new credentials over it. Runs under the switch lock so it
+// cannot interleave with a switch or account edit rewriting sequence.json.
+async function syncRotatedCreds(prev, next) {
+  const release = await waitForFileLock(SWITCH_LOCK_FILE, "saving rotated credentials");
+  try {
+    const data = getSeqData();
+    const match = Object.entries(data?.accounts || {}).find(([, a]) => a.sub === next.sub || a.sub === prev?.sub);
+    if (!match) return null;
+    const [num, info] = match;
+    writeBackupCreds(num, next.text);
+    if (info.sub !== next.sub) {
+      info.sub = next.sub;
+      data.lastUpdated = getTimestamp();
+      writeJSON(SEQUENCE_FILE, data);
+    }
+    return num;
+  } finally {
+    release();
+  }
+}
+
+async function flushWatchedChanges() {
+  const files = new Set(pendingWatchFiles);
+  pendingWatchFiles.clear();
+
+  let requested = false;
+  if (files.has(LEADER_FILE) && !isLeader) coordinate();
+  if (files.has(REFRESH_REQUEST_FILE) && isLeader) requested = true;
+  if (files.has(USAGE_CACHE_FILE) && !isLeader) loadSharedUsage();
+  if (files.has(SWITCH_MARKER_FILE)) onSwitchMarkerChanged();
+  const coordOnly = [...files].every(f => f === LEADER_FILE || f === USAGE_CACHE_FILE || f === REFRESH_REQUEST_FILE);
+  if (coordOnly && !requested) return;
+
+  if (files.has(CREDS_FILE) || files.has(CLAUDE_CONFIG_PRIMARY) || files.has(CLAUDE_CONFIG_FALLBACK)) {
+    const prev = credsSnapshot;
+    const next = takeCredsSnapshot();
+    const kind = classifyCredsChange(prev, next);
+    credsSnapshot = next;
+    if (kind) log(`Credentials changed: ${kind}`);
+    // Every window sees the change; only the leader writes the backup
+    if (kind === "token-rotation" && isLeader) {
+      try {
+        const num = await syncRotatedCreds(prev, next);
+        if (num) log(`Updated backup for Account-${num} with the rotated token`);
+      } catch (e) {
+        log(`Could not update backup after token rotation: ${e.message}`);
+      }
+    }
+  }
+  if (files.has(SEQUENCE_FILE)) log("sequence.json changed");
+  if (files.has(VAULT_FILE)) await reloadVaultKey(extContext);
+
+  // A follower's Refresh is a user action, like the leader's own: no backoff
+  if (!requested && backoff.until > Date.now()) {
+    log("Refresh after file change deferred: API backoff in effect");
+    return;
+  }
+  await refreshAll();
+}
+
+// ─── Multi-window coordination ───────────────────────────────────────────────
+//
+// Only one VS Code window (the leader) calls the API. It holds a lease in
+// poll-leader.json, renewed every heartbeat, and publishes each poll to
+// usage-cache.json; the other windows render from that file as it changes.
+// A closing leader deletes its lease so a follower takes over right away; a
+// crashed one is replaced once the lease expires or its pid is gone.
+
+const HEARTBEAT_MS = 10_000;
+const LEASE_MS = 35_000;
+
+function leaseIsLive(lease) {
+  if (!lease?.id || Date.now() - (lease.heartbeat || 0) > LEASE_MS) return false;
+  if (lease.host === os.hostname() && lease.pid) {
+    try { process.kill(lease.pid, 0); }
+    catch (e) { if (e.code === "ESRCH") return false; }
+  }
+  return true;
+}
+
+function leaseRecord() {
+  return { id: windowId, host: os.hostname(), pid: process.pid, heartbeat: Date.now() };
+}
+
+function writeLease() {
+  writeJSON(LEADER_FILE, leaseRecord());
+}
+
+function sameLease(a, b) {
+  return (a?.id ?? null) === (b?.id ?? null) && (a?.heartbeat ?? null) === (b?.heartbeat ?? null);
+}
+
+// A stale lease is renamed aside rather than unlinked, so two windows that
+// both judged it stale cannot delete each other's new lease: whoever moved a
+// lease other than the stale one puts it back. The new lease is hard-linked
+// into place, which fails if the file exists and never exposes it half
+// written, so exactly one window wins.
+function tryAcquireLeadership() {
+  const lease = readJSON(LEADER_FILE);
+  if (lease?.id === windowId) return true;
+  if (leaseIsLive(lease)) return false;
+  const tag = `${process.pid}-${crypto.randomBytes(4).toString("hex")}`;
+  try {
+    ensureDir(SWAP_DIR);
+    if (fs.existsSync(LEADER_FILE)) {
+      const aside = `${LEADER_FILE}.${tag}.stale`;
+      fs.renameSync(LEADER_FILE, aside);
+      const moved = readJSON(aside);
+      if (!sameLease(moved, lease)) {
+        try { fs.linkSync(aside, LEADER_FILE); } catch {}
+        fs.unlinkSync(aside);
+        return false;
+      }
+      fs.unlinkSync(aside);
+    }
+  } catch { return false; }
+
+  const tmp = `${LEADER_FILE}.${tag}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(leaseRecord()), { mode: 0o600 });
+    fs.linkSync(tmp, LEADER_FILE);
+    return true;
+  } catch {
+    return false;
+  } finally {
+    try { fs.unlinkSync(tmp); } catch {}
+  }
+}
+
+// Renews or claims the lease and reacts to role changes.
+function coordinate() {
+  const wasLeader = isLeader;
+  if (isLeader) {
+    const lease = readJSON(LEADER_FILE);
+    if (lease && lease.id !== windowId) {
+      isLeader = false;
+    } else {
+      try { writeLease(); } catch {}
+    }
+  } else {
+    isLeader = tryAcquireLeadership();
+  }
+  if (isLeader !== wasLeader) {
+    log(isLeader ? "This window now polls the usage API" : "Another window polls the usage API; following its cache");
+    if (isLeader) {
+      refreshAll();
+      offerInterruptedSwitchRollback();
+    } else loadSharedUsage();
+    syncApiServer();
+  }
+}
+
+function startCoordination() {
+  isLeader = tryAcquireLeadership();
+  log(isLeader ? "This window polls the usage API" : "Another window polls the usage API; following its cache");
+  coordTimer = setInterval(coordinate, HEARTBEAT_MS);
+  syncApiServer();
+}
+
+function stopCoordination() {
+  clearInterval(coordTimer);
+  if (isLeader && readJSON(LEADER_FILE)?.id === windowId) {
+    try { fs.unlinkSync(LEADER_FILE); } catch {}
+  }
+  isLeader = false;
+  syncApiServer();
+}
+
+function slimFetchError(err) {
+  return err ? { kind: err.kind, status: err.status, message: err.message, retryAfterMs: err.retryAfterMs } : null;
+}
+
+function writeSharedUsage() {
+  if (!lastRefresh) return;
+  try {
+    ensureDir(SWAP_DIR);
+    writeJSON(USAGE_CACHE_FILE, {
+      version: 1,
+      updatedAt: Date.now(),
+      leader: windowId,
+      backoffUntil: backoff.until,
+      error: slimFetchError(lastRefresh.error),
+      rows: lastRefresh.rows.map(r => ({ ...r, fetchError: slimFetchError(r.fetchError) })),
+    });
+  } catch (e) {
+    log(`Could not write shared usage cache: ${e.message}`);
+  }
+}
+
+function loadSharedUsage() {
+  const shared = readJSON(USAGE_CACHE_FILE);
+  if (!shared?.rows) return;
+  const currentCredsText = readCurrentCredentials();
+  const currentSub = currentCredsText ? getSubFromCreds(currentCredsText) : null;
+  backoff = { ...backoff, until: shared.backoffUntil || 0 };
+  lastRefresh = {
+    rows: shared.rows,
+    currentSaved: isSaved(getSeqData(), currentSub),
+    error: shared.error,
+    sharedAt: shared.updatedAt,
+  };
+  renderStatus();
+  checkThresholds(shared.rows);
+}
+
+// Followers cannot poll; they ask the leader by touching a file it watches.
+async function requestRefresh() {
+  if (isLeader) return refreshAll();
+  try {
+    ensureDir(SWAP_DIR);
+    fs.writeFileSync(REFRESH_REQUEST_FILE, windowId, { mode: 0o600 });
+  } catch {}
+  loadSharedUsage();
+}
+
+// ─── Local usage API ─────────────────────────────────────────────────────────
+//
+// Opt-in HTTP endpoint on 127.0.0.1 so prompts, tmux and scripts can read the
+// numbers this extension already polls. Only the leader serves it; the port
+// and a per-start bearer token are published in api.json (mode 0600), which
+// bin/claude-usage.js reads. Responses carry usage and identity hints only —
+// never access or refresh tokens.
+
+let apiServer = null;
+let apiToken = null;
+
+function apiSnapshot() {
+  const rows = lastRefresh?.rows || [];
+  const toAccount = r => ({
+    num: r.num ?? null,
+    name: r.num ? accountDisplayName(r.num, r) : "current login",
+    label: r.label ?? null,
+    email: r.email ?? null,
+    sub: r.sub ?? null,
+    isActive: !!r.isActive,
+    authState: r.authState ?? null,
+    stale: !!r.stale,
+    fetchedAt: r.fetchedAt ? new Date(r.fetchedAt).toISOString() : null,
+    error: r.error ?? r.fetchError?.message ?? null,
+    windows: Object.fromEntries(usageWindows(r.usage).map(([key, w]) => [key, {
+      label: windowLabel(key),
+      utilization: w.utilization,
+      resetsAt: w.resets_at,
+      resetsIn: w.resets_at ? timeUntil(w.resets_at) : null,
+    }])),
+  });
+  const accounts = rows.map(toAccount);
+  return {
+    version: 1,
+    generatedAt: new Date().toISOString(),
+    host: hostLabel(),
+    active: accounts.find(a => a.isActive) || null,
+    accounts,
+    error: slimFetchError(lastRefresh?.error),
+    backoffUntil: backoff.until ? new Date(backoff.until).toISOString() : null,
+  };
+}
+
+function apiAuthorized(req) {
+  const given = Buffer.from(String(req.headers.authorization || "").replace(/^Bearer\s+/i, ""));
+  const expected = Buffer.from(apiToken || "");
+  return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
+function handleApiRequest(req, res) {
+  const send = (status, body) => {
+    res.writeHead(status, { "Content-Type": "application/json", "Cache-Control": "no-store" });
+    res.end(JSON.stringify(body));
+  };
+  // Browsers attach Origin; a page on another site has no business here.
+  if (req.headers.origin) return send(403, { error: "forbidden" });
+  if (!apiAuthorized(req)) return send(401, { error: "unauthorized" });
+
+  const route = `${req.method} ${new URL(req.url, "http://127.0.0.1").pathname}`;
+  if (route === "GET /v1/usage") return send(200, apiSnapshot());
+  if (route === "POST /v1/refresh") {
+    // Scripts may call this in a loop; backoff still applies, and the
+    // snapshot's backoffUntil says why nothing changed
+    if (backoff.until > Date.now()) return send(200, apiSnapshot());
+    refreshAll().then(() => send(200, apiSnapshot()), e => send(500, { error: e.message }));
+    return;
+  }
+  send(404, { error: "not found" });
+}
+
+function startApiServer() {
+  if (apiServer) return;
+  apiToken = crypto.randomBytes(24).toString("base64url");
+  const server = http.createServer(handleApiRequest);
+  server.on("error", e => {
+    log(`Local API unavailable: ${e.message}`);
+    if (apiServer === server) stopApiServer();
+  });
+  server.listen(cfg().get("api.port", 0), "127.0.0.1", () => {
+    const { port } = server.address();
+    try {
+      ensureDir(SWAP_DIR);
+      writeJSON(API_FILE, { version: 1, url: `http://127.0.0.1:${port}`, port, token: apiToken, pid: process.pid, windowId });
+      log(`Local API listening on 127.0.0.1:${port}; CLI: node ${path.join(extContext?.extensionPath || __dirname, "bin", "claude-usage.js")}`);
+    } catch (e) {
+      log(`Could not publish ${API_FILE}: ${e.message}`);
+    }
   });
+  apiServer = server;
+}
+
+function stopApiServer() {
+  if (!apiServer) return;
+  apiServer.close();
+  apiServer = null;
+  apiToken = null;
+  if (readJSON(API_FILE)?.windowId === windowId) {
+    try { fs.unlinkSync(API_FILE); } catch {}
+  }
+}
+
+function syncApiServer() {
+  const wanted = isLeader && cfg().get("api.enabled", false);
+  if (wanted) startApiServer();
+  else stopApiServer();
+}
+
+// ─── Polling / backoff ───────────────────────────────────────────────────────
+//
+// Rate-limit and server errors double the poll delay (capped, but never below
+// Retry-After). Network failures keep the normal cadence so recovery from a
+// dropped connection shows up quickly. Manual refreshes are never delayed.
+
+const MAX_BACKOFF_MS = 30 * 60_000;
+
+function pollMs() { return Math.max(15, cfg().get("pollIntervalSeconds", 60)) * 1000; }
+
+function updateBackoff(errors) {
+  const hard = errors.filter(e => e.kind === "rate_limit" || e.kind === "server");
+  if (!hard.length) {
+    if (backoff.failures) log("API reachable again; back to the normal poll interval");
+    backoff = { failures: 0, until: 0, reason: null };
+    return;
+  }
+  backoff.failures++;
+  const exp = Math.min(pollMs() * 2 ** backoff.failures, MAX_BACKOFF_MS);
+  const retryAfter = Math.max(0, ...hard.map(e => e.retryAfterMs ?? 0));
+  const delay = Math.max(exp, retryAfter);
+  backoff.until = Date.now() + delay;
+  backoff.reason = hard[0].kind;
+  log(`Usage API ${hard[0].message} (${hard[0].kind}); next poll in ${formatDuration(delay)}`);
+}
+
+function nextPollDelay() { return Math.max(pollMs(), backoff.until - Date.now()); }
+
+function scheduleNextPoll() {
+  if (timer) clearTimeout(timer);
+  if (disposed) return;
+  timer = setTimeout(async () => {
+    try { await refreshAll(); }
+    catch (e) { log(`Poll failed: ${e.message}`); }
+    finally { scheduleNextPoll(); }
+  }, nextPollDelay());
+}
+
+// Serves the last good usage for an account when a fetch fails.
+function withCachedUsage(row) {
+  const key = row.sub ?? `num-${row.num}`;
+  if (row.usage) {
+    usageCache.set(key, { usage: row.usage, at: Date.now() });
+    return { ...row, fetchedAt: Date.now(), stale: false };
+  }
+  const hit = usageCache.get(key);
+  if (!hit) return { ...row, fetchedAt: null, stale: false };
+  return { ...row, usage: hit.usage, fetchedAt: hit.at, stale: true };
+}
+
+function formatAgo(at) {
+  const ms = Date.now() - at;
+  return ms < 60_000 ? "just now" : `${formatDuration(ms)} ago`;
+}
+
+const ERROR_STATUS_TEXT = {
+  network: "$(debug-disconnect) offline",
+  timeout: "$(debug-disconnect) offline",
+  rate_limit: "$(watch) rate limited",
+  auth: "$(error) auth error",
+  server: "$(error) API error",
+  parse: "$(error) API error",
+  http: "$(error) API error",
+};
 
-  return { fetchedAt: new Date().toISOString(), files, accounts };
+function describeFetchError(err) {
+  const label = ERROR_STATUS_TEXT[err.kind]?.replace(/^\$\([\w-]+\) /, "") ?? "error";
+  return err.status ? `${label} (HTTP ${err.status})` : `${label} (${err.message})`;
 }
 
 // ─── Main refresh ────────────────────────────────────────────────────────────
 
+// Forecast suffix for the status bar text: a warning icon when either window
+// is projected to run out before it resets, plus the ETA when enabled.
+function statusForecastSuffix(row) {
+  if (!row?.usage) return "";
+  const fcs = [
+    forecastWindow(row.sub, "h5", row.usage.five_hour?.utilization, row.usage.five_hour?.resets_at),
+    forecastWindow(row.sub, "d7", row.usage.seven_day?.utilization, row.usage.seven_day?.resets_at),
+  ].filter(Boolean);
+  const warn = fcs.find(f => f.warning);
+  let suffix = "";
+  if (cfg().get("statusBar.showForecast", false) && fcs.length) {
+    suffix += ` $(watch) ${formatDuration(Math.min(...fcs.map(f => f.etaMs)))}`;
+  }
+  if (warn) suffix += " $(warning)";
+  return suffix;
+}
+
+function accountLabel(row) {
+  if (!row) return "";
+  return row.label || (row.num ? `Account-${row.num}` : (row.email || "current"));
+}
+
+// Compact "5h 33% 7d 10%" for the windows picked in statusBar.windows.
+function statusWindowsText(usage) {
+  const present = new Map(usageWindows(usage));
+  const parts = cfg().get("statusBar.windows", ["five_hour", "seven_day"])
+    .filter(k => present.has(k))
+    .map(k => `${windowLabel(k)} ${Math.round(present.get(k).utilization)}%`);
+  return parts.length ? parts.join(" ") : "--";
+}
+
+function formatStatusText(row) {
+  const pct = w => typeof w?.utilization === "number" ? String(Math.round(w.utilization)) : "--";
+  const values = {
+    windows: statusWindowsText(row.usage),
+    h5: pct(row.usage?.five_hour),
+    d7: pct(row.usage?.seven_day),
+    reset5: timeUntil(row.usage?.five_hour?.resets_at),
+    reset7: timeUntil(row.usage?.seven_day?.resets_at),
+    account: accountLabel(row),
+    email: row.email || "",
+  };
+  const format = cfg().get("statusBar.format", "$(cloud) {windows}");
+  return format.replace(/\{(\w+)\}/g, (m, k) => k in values ? values[k] : m);
+}
+
+// Paints the status bar from the last poll. Kept separate from refreshAll so
+// settings changes re-render without hitting the API.
+function renderStatus() {
+  if (!statusBarItem || !lastRefresh) return;
+  const { rows, currentSaved, error } = lastRefresh;
+  const current = rows.find(r => r.isActive);
+  if (!current?.usage) {
+    statusBarItem.text = error ? ERROR_STATUS_TEXT[error.kind] ?? "$(error) API error" : "$(cloud) --";
+    statusBarItem.backgroundColor = undefined;
+  } else {
+    statusBarItem.text = formatStatusText(current) + statusForecastSuffix(current)
+      + (current.stale ? ` $(history) ${formatDuration(Math.max(60_000, Date.now() - current.fetchedAt))}` : "");
+    applyStatusColor(current);
+  }
+  if (pinMismatch(rows)) statusBarItem.text += " $(pinned-dirty)";
+  statusBarItem.tooltip = buildTooltip(rows, currentSaved, error);
+  lastDebugData = buildDebugData(rows);
+  postDashboardState();
+  checkWorkspacePin(rows);
+}
+
 async function refreshAll() {
+  if (!isLeader) return loadSharedUsage();
+
   const seqData = getSeqData();
-  const rows = [];
+  let rows = [];
 
   // Determine identity of currently-active account from the token itself
   const currentCredsText = readCurrentCredentials();
@@ -507,14 +4194,33 @@ async function refreshAll() {
       const info = seqData.accounts[String(num)];
       if (!info) return;
       const isActive = num === activeNum;
-      const credsText = isActive ? readCurrentCredentials() : readBackupCreds(String(num));
+      let credsText = null;
+      let error = null;
+      try { credsText = isActive ? readCurrentCredentials() : readBackupCreds(String(num)); }
+      catch (e) { error = e.message; }
+      let usage = null;
+      let authState = null;
+      let fetchError = null;
+      if (credsText && getToken(credsText)) {
+        if (isActive) {
+          const res = await fetchUsage(getToken(credsText));
+          usage = res.usage;
+          fetchError = res.error;
+          authState = res.status === 401 || credsExpired(credsText) ? "stale" : "valid";
+        } else {
+          try { ({ usage, authState, credsText, fetchError } = await fetchBackupUsage(num, credsText)); }
+          catch (e) { error = e.message; }
+        }
+      }
       const token = credsText ? getToken(credsText) : null;
-      const usage = token ? await fetchUsage(token) : null;
       const email = info.email || null;   // hint only
       const sub = info.sub ?? getSubFromCreds(credsText) ?? null;
       const maskedToken = maskToken(token);
       const tokenSource = isActive ? CREDS_FILE : path.join(CREDENTIALS_DIR, `.creds-${num}.enc`);
-      rows.push({ num, email, sub, maskedToken, isActive, usage, tokenSource });
+      const label = info.label || null;
+      const fresh = { num, label, email, sub, maskedToken, isActive, usage, tokenSource, error, authState, fetchError };
+      if (usage) recordUsageHistory([fresh]);
+      rows.push(withCachedUsage(fresh));
     }));
 
     const seq = seqData.sequence || [];
@@ -526,67 +4232,309 @@ async function refreshAll() {
   const current = rows.find(r => r.isActive);
   const h5 = current?.usage?.five_hour?.utilization ?? null;
   const d7 = current?.usage?.seven_day?.utilization ?? null;
+  let managed = true;
+  let pollError = current?.fetchError ?? null;
 
-  if (h5 === null && d7 === null) {
+  if (h5 === null && d7 === null && !pollError) {
     // No managed accounts yet — fall back to fetching current user directly
     const token = currentCredsText ? getToken(currentCredsText) : null;
     if (token) {
-      const usage = await fetchUsage(token);
-      if (usage) {
-        const fh = usage.five_hour?.utilization ?? 0;
-        const sd = usage.seven_day?.utilization ?? 0;
-        statusBarItem.text = `$(cloud) 5h ${Math.round(fh)}% 7d ${Math.round(sd)}%`;
-        const emailHint = currentCredsText ? getEmailHintFromCreds(currentCredsText) : null;
-        const singleRow = [{
-          num: 0,
-          email: emailHint,
-          sub: currentSub,
-          maskedToken: maskToken(token),
-          isActive: true,
-          usage,
-          tokenSource: CREDS_FILE,
-        }];
-        statusBarItem.tooltip = buildTooltip(singleRow, currentSaved);
-        lastDebugData = buildDebugData(singleRow);
-        return;
+      const { usage, error } = await fetchUsage(token);
+      const emailHint = currentCredsText ? getEmailHintFromCreds(currentCredsText) : null;
+      const single = withCachedUsage({
+        num: 0,
+        email: emailHint,
+        sub: currentSub,
+        maskedToken: maskToken(token),
+        isActive: true,
+        usage,
+        tokenSource: CREDS_FILE,
+        fetchError: error,
+      });
+      if (usage) recordUsageHistory([single]);
+      if (single.usage) {
+        rows = [single];
+        managed = false;
       }
+      pollError = error;
     }
-    statusBarItem.text = "$(cloud) --";
-    statusBarItem.tooltip = buildTooltip([], currentSaved);
-    lastDebugData = buildDebugData([]);
+  }
+
+  updateBackoff(rows.map(r => r.fetchError).concat(pollError ?? []).filter(Boolean));
+  lastRefresh = { rows, currentSaved, error: pollError };
+  renderStatus();
+  writeSharedUsage();
+  noteActiveSub(currentSub);
+  maybeScanTranscripts();
+
+  checkThresholds(rows);
+  if (managed && seqData) maybeAutoSwitch(rows, seqData.sequence || []);
+}
+
+// ─── Account pickers / management commands ───────────────────────────────────
+
+function accountDisplayName(num, info) {
+  return info?.label ? `${info.label} (Account-${num})` : `Account-${num}`;
+}
+
+async function pickAccount(placeHolder) {
+  const data = getSeqData();
+  const items = (data?.sequence || [])
+    .filter(n => data.accounts[String(n)])
+    .map(n => {
+      const info = data.accounts[String(n)];
+      return {
+        label: accountDisplayName(n, info),
+        description: info.email && info.email !== "(unknown)" ? info.email : "",
+        num: n,
+      };
+    });
+  if (!items.length) {
+    vscode.window.showInformationMessage("No saved Claude accounts yet.");
+    return undefined;
+  }
+  const choice = await vscode.window.showQuickPick(items, { placeHolder });
+  return choice?.num;
+}
+
+async function renameAccountCommand(num) {
+  num = num ?? await pickAccount("Account to rename");
+  if (num === undefined) return;
+  const info = getSeqData()?.accounts?.[String(num)];
+  const label = await vscode.window.showInputBox({
+    prompt: `Label for Account-${num} (leave empty to reset)`,
+    value: info?.label || "",
+  });
+  if (label === undefined) return;
+  renameAccount(num, label);
+  await refreshAll();
+}
+
+async function moveAccountCommand(num, delta) {
+  num = num ?? await pickAccount("Account to move");
+  if (num === undefined) return;
+  if (delta === undefined) {
+    const seqLen = getSeqData()?.sequence?.length ?? 0;
+    const choice = await vscode.window.showQuickPick([
+      { label: "$(arrow-up) Move up", delta: -1 },
+      { label: "$(arrow-down) Move down", delta: 1 },
+      { label: "$(chevron-up) Move to top", delta: -seqLen },
+      { label: "$(chevron-down) Move to bottom", delta: seqLen },
+    ], { placeHolder: `Move Account-${num}` });
+    if (!choice) return;
+    delta = choice.delta;
+  }
+  if (moveAccount(num, delta)) await refreshAll();
+}
+
+async function removeAccountCommand(num) {
+  num = num ?? await pickAccount("Account to remove");
+  if (num === undefined) return;
+  const info = getSeqData()?.accounts?.[String(num)];
+  const choice = await vscode.window.showWarningMessage(
+    `Remove ${accountDisplayName(num, info)}? Its saved credentials and config backup will be deleted.`,
+    { modal: true }, "Remove"
+  );
+  if (choice !== "Remove") return;
+  removeAccount(num);
+  vscode.window.showInformationMessage(`Removed Account-${num}.`);
+  await refreshAll();
+}
+
+async function resaveAccountCommand(num) {
+  num = num ?? await pickAccount("Account to overwrite with the current login");
+  if (num === undefined) return;
+  if (resaveAccount(num).changedIdentity) {
+    const choice = await vscode.window.showWarningMessage(
+      `The current login does not match the token identity saved for Account-${num}. Overwrite it anyway?`,
+      { modal: true }, "Overwrite"
+    );
+    if (choice !== "Overwrite") return;
+    resaveAccount(num, { force: true });
+  }
+  vscode.window.showInformationMessage(`Account-${num} updated with the current credentials.`);
+  await refreshAll();
+}
+
+// Lists saved accounts with their last-polled usage, most headroom first.
+async function showAccountSwitcher() {
+  const data = getSeqData();
+  const nums = (data?.sequence || []).filter(n => data.accounts[String(n)]);
+  if (!nums.length) {
+    vscode.window.showInformationMessage("No saved Claude accounts yet.", "Save Current Account").then(choice => {
+      if (choice) vscode.commands.executeCommand("claudeUsage.saveAccount");
+    });
     return;
   }
 
-  statusBarItem.text = `$(cloud) 5h ${h5 !== null ? Math.round(h5) : "--"}% 7d ${d7 !== null ? Math.round(d7) : "--"}%`;
-  statusBarItem.tooltip = buildTooltip(rows, currentSaved);
-  lastDebugData = buildDebugData(rows);
+  const rows = lastRefresh?.rows || [];
+  const headroom = row => {
+    const pcts = usageWindows(row?.usage).filter(([k]) => HISTORY_KEYS[k]).map(([, w]) => w.utilization);
+    return pcts.length ? 100 - Math.max(...pcts) : -Infinity;
+  };
+  const items = nums.map(n => {
+    const info = data.accounts[String(n)];
+    const row = rows.find(r => r.num === n);
+    const windows = usageWindows(row?.usage).filter(([k]) => HISTORY_KEYS[k]);
+    const usageText = windows.length
+      ? windows.map(([k, w]) => `${windowLabel(k)} ${Math.round(w.utilization)}%`).join(" · ")
+      : "usage unknown";
+    const resets = windows.filter(([, w]) => w.resets_at).map(([k, w]) => `${windowLabel(k)} \u21bb ${timeUntil(w.resets_at)}`).join(" · ");
+    const ident = [info.label ? `Account-${n}` : null, row?.maskedToken, info.email !== "(unknown)" ? info.email : null]
+      .filter(Boolean).join(" · ");
+    return {
+      label: `${row?.isActive ? "$(check)" : "$(account)"} ${info.label || `Account-${n}`}`,
+      description: usageText + (row?.stale ? " (cached)" : "") + (row?.isActive ? " — active" : ""),
+      detail: [resets, ident].filter(Boolean).join("   "),
+      num: n,
+      isActive: !!row?.isActive,
+      headroom: headroom(row),
+    };
+  }).sort((a, b) => b.headroom - a.headroom);
+
+  const choice = await vscode.window.showQuickPick(items, {
+    placeHolder: "Switch Claude account (sorted by remaining headroom)",
+    matchOnDescription: true,
+    matchOnDetail: true,
+  });
+  if (!choice) return;
+  if (choice.isActive) {
+    vscode.window.showInformationMessage(`${choice.label.replace(/^\$\([\w-]+\) /, "")} is already active.`);
+    return;
+  }
+  await vscode.commands.executeCommand("claudeUsage.switchTo", choice.num);
+}
+
+// Only the leader asks, and only while no window holds the switch lock: a
+// pending snapshot under a held lock is a switch still in progress.
+async function offerInterruptedSwitchRollback() {
+  if (!isLeader || rollbackOffered) return;
+  const snap = readJSON(SWITCH_PENDING_FILE);
+  if (!snap) return;
+  try { acquireFileLock(SWITCH_LOCK_FILE, "switching accounts")(); }
+  catch { return; }
+  rollbackOffered = true;
+  const choice = await vscode.window.showWarningMessage(
+    `A switch to Account-${snap.toNum} was interrupted and may have left the credentials and config mismatched.`,
+    "Roll Back", "Keep"
+  );
+  rollbackOffered = false;
+  try {
+    if (choice === "Roll Back") {
+      await undoLastSwitch({ pending: true });
+      announceSwitch("Interrupted switch rolled back.");
+      await refreshAll();
+    } else if (choice === "Keep") {
+      try { fs.unlinkSync(SWITCH_PENDING_FILE); }
+      catch (e) { if (e.code !== "ENOENT") throw e; }
+    }
+  } catch (e) {
+    vscode.window.showErrorMessage(`Rollback failed: ${e.message}`);
+  }
+}
+
+// Wraps a command handler so failures surface as "<action> failed: …".
+function guarded(action, fn) {
+  return async (...args) => {
+    try { await fn(...args); }
+    catch (e) { vscode.window.showErrorMessage(`${action} failed: ${e.message}`); }
+  };
 }
 
 // ─── Extension lifecycle ──────────────────────────────────────────────────────
 
-function activate(context) {
+function createStatusItem() {
+  const c = cfg();
+  const alignment = c.get("statusBar.alignment", "right") === "left"
+    ? vscode.StatusBarAlignment.Left
+    : vscode.StatusBarAlignment.Right;
+  statusBarItem?.dispose();
+  statusBarItem = vscode.window.createStatusBarItem(alignment, c.get("statusBar.priority", 50));
+  statusBarItem.command = statusClickCommand();
+  statusBarItem.text = "$(cloud) ...";
+  statusBarItem.show();
+  renderStatus();
+}
+
+function statusClickCommand() {
+  return cfg().get("statusBar.clickAction", "refresh") === "switchAccount"
+    ? "claudeUsage.switchTo"
+    : "claudeUsage.refresh";
+}
+
+function onConfigChanged(e) {
+  if (!e.affectsConfiguration("claudeUsage")) return;
+  if (e.affectsConfiguration("claudeUsage.statusBar.alignment")
+    || e.affectsConfiguration("claudeUsage.statusBar.priority")) {
+    createStatusItem();
+  }
+  if (e.affectsConfiguration("claudeUsage.statusBar.clickAction") && statusBarItem) {
+    statusBarItem.command = statusClickCommand();
+  }
+  if (e.affectsConfiguration("claudeUsage.pollIntervalSeconds")) scheduleNextPoll();
+  if (e.affectsConfiguration("claudeUsage.workspace.pinnedAccount")) pinHandledFor = null;
+  if (e.affectsConfiguration("claudeUsage.network.caFiles")) caCache = { key: null, ca: null };
+  if (e.affectsConfiguration("claudeUsage.api.enabled") || e.affectsConfiguration("claudeUsage.api.port")) {
+    stopApiServer();
+    syncApiServer();
+  }
+  if (e.affectsConfiguration("claudeUsage.claudeConfigDir")) {
+    resolveClaudePaths();
+    log(`Claude config dir is now ${CLAUDE_DIR} (${claudeDirSource})`);
+    stopWatchers();
+    startWatchers();
+    refreshAll();
+    return;
+  }
+  renderStatus();
+}
+
+async function activate(context) {
+  extContext = context;
+  disposed = false;
+  outputChannel = vscode.window.createOutputChannel("Claude Usage");
+  context.subscriptions.push(outputChannel);
+
+  resolveClaudePaths();
+  log(`Reading Claude credentials on ${hostLabel()} from ${CLAUDE_DIR} (${claudeDirSource})`);
+
   // Migrate old email-keyed backup files to num-only naming on first run
   migrateBackupFilenames(getSeqData());
 
-  statusBarItem = vscode.window.createStatusBarItem(vscode.StatusBarAlignment.Right, 50);
-  statusBarItem.command = "claudeUsage.refresh";
-  statusBarItem.text = "$(cloud) ...";
-  statusBarItem.show();
+  await initVault(context);
+  migrateBackupEncryption(getSeqData());
+
+  createStatusItem();
 
   context.subscriptions.push(
-    statusBarItem,
-    vscode.commands.registerCommand("claudeUsage.refresh", () => refreshAll()),
+    { dispose: () => statusBarItem?.dispose() },
+    vscode.workspace.onDidChangeConfiguration(onConfigChanged),
+    vscode.workspace.onDidChangeWorkspaceFolders(resetWorkspacePin),
+    vscode.window.onDidChangeWindowState(e => {
+      if (e.focused && lastRefresh) checkThresholds(lastRefresh.rows);
+    }),
+    context.secrets.onDidChange(async e => {
+      if (e.key !== VAULT_SECRET_KEY) return;
+      await reloadVaultKey(context);
+      renderStatus();
+    }),
+    vscode.commands.registerCommand("claudeUsage.refresh", () => requestRefresh()),
     vscode.commands.registerCommand("claudeUsage.switchTo", async (num) => {
+      if (num === undefined || num === null) return showAccountSwitcher();
       try {
         await switchToAccount(num);
-        vscode.window.showInformationMessage(
-          `Switched to Account-${num}. Restart Claude Code to apply.`
-        );
+        announceSwitch(`Switched to Account-${num}.`, { undo: true });
         await refreshAll();
       } catch (e) {
         vscode.window.showErrorMessage(`Switch failed: ${e.message}`);
       }
     }),
+    vscode.commands.registerCommand("claudeUsage.undoSwitch", guarded("Undo", async () => {
+      const snap = await undoLastSwitch();
+      const back = snap.fromNum ? `Account-${snap.fromNum}` : "the previous login";
+      announceSwitch(`Restored ${back}.`);
+      await refreshAll();
+    })),
     vscode.commands.registerCommand("claudeUsage.showDebug", async () => {
       const data = lastDebugData || { error: "No debug data yet — try refreshing first." };
       const doc = await vscode.workspace.openTextDocument({
@@ -604,15 +4552,106 @@ function activate(context) {
         vscode.window.showErrorMessage(`Save failed: ${e.message}`);
       }
     }),
-    { dispose: () => clearInterval(timer) }
+    vscode.commands.registerCommand("claudeUsage.renameAccount", guarded("Rename", renameAccountCommand)),
+    vscode.commands.registerCommand("claudeUsage.moveAccount", guarded("Reorder", moveAccountCommand)),
+    vscode.commands.registerCommand("claudeUsage.removeAccount", guarded("Remove", removeAccountCommand)),
+    vscode.commands.registerCommand("claudeUsage.resaveAccount", guarded("Re-save", resaveAccountCommand)),
+    vscode.commands.registerCommand("claudeUsage.checkAccounts", guarded("Check Accounts", checkAccountsCommand)),
+    vscode.commands.registerCommand("claudeUsage.generateDiagnostics", guarded("Diagnostics", generateDiagnosticsCommand)),
+    vscode.commands.registerCommand("claudeUsage.exportAccounts", guarded("Export", exportAccountsCommand)),
+    vscode.commands.registerCommand("claudeUsage.importAccounts", guarded("Import", importAccountsCommand)),
+    vscode.commands.registerCommand("claudeUsage.showHistory", () => showHistoryPanel()),
+    vscode.commands.registerCommand("claudeUsage.openDashboard", () => showDashboard()),
+    vscode.commands.registerCommand("claudeUsage.showUsageBreakdown", guarded("Usage breakdown", days => showUsageBreakdown(days))),
+    vscode.commands.registerCommand("claudeUsage.unlockVault", async () => {
+      if (vaultKeyMissing && !isPassphraseVault()) {
+        const choice = await vscode.window.showWarningMessage(
+          "The account vault key is not available in this editor: the saved accounts were sealed with a key held in another editor's secret store. "
+            + "To use them here, run \"Claude Usage: Set Vault Passphrase\" in that editor, then unlock with the passphrase here. "
+            + "Starting a new vault moves the old saved accounts to a backup folder instead.",
+          { modal: true },
+          "Start New Vault"
+        );
+        if (choice !== "Start New Vault") return;
+        try {
+          const dir = await startNewVault(context);
+          vscode.window.showInformationMessage(`Started a new account vault. The old saved accounts were moved to ${displayPath(dir)}.`);
+        } catch (e) {
+          vscode.window.showErrorMessage(`Could not start a new vault: ${e.message}`);
+        }
+        await refreshAll();
+        return;
+      }
+      if (!isPassphraseVault()) {
+        vscode.window.showInformationMessage("The account vault is not passphrase-protected.");
+        return;
+      }
+      const pass = await vscode.window.showInputBox({
+        prompt: "Account vault passphrase",
+        password: true,
+        ignoreFocusOut: true,
+      });
+      if (!pass) return;
+      if (!tryUnlockVault(pass)) {
+        vscode.window.showErrorMessage("Unlock failed: wrong passphrase.");
+        return;
+      }
+      migrateBackupEncryption(getSeqData());
+      await refreshAll();
+    }),
+    vscode.commands.registerCommand("claudeUsage.setVaultPassphrase", async () => {
+      try {
+        requireVaultKey();
+        const pass = await vscode.window.showInputBox({
+          prompt: "New vault passphrase (leave empty to use the VS Code secret store instead)",
+          password: true,
+          ignoreFocusOut: true,
+        });
+        if (pass === undefined) return;
+        if (pass) {
+          const again = await vscode.window.showInputBox({ prompt: "Repeat passphrase", password: true, ignoreFocusOut: true });
+          if (again !== pass) throw new Error("Passphrases do not match");
+        }
+        await changeVaultPassphrase(context, pass);
+        vscode.window.showInformationMessage(pass
+          ? "Account vault is now protected by your passphrase."
+          : "Account vault key is now kept in the VS Code secret store.");
+      } catch (e) {
+        vscode.window.showErrorMessage(`Passphrase change failed: ${e.message}`);
+      }
+    }),
+    { dispose: () => { disposed = true; clearTimeout(timer); } },
+    { dispose: stopWatchers },
+    { dispose: stopCoordination }
   );
 
+  if (isPassphraseVault() && !vaultKey) {
+    vscode.window.showInformationMessage("Claude Usage: the account vault is locked.", "Unlock").then(choice => {
+      if (choice === "Unlock") vscode.commands.executeCommand("claudeUsage.unlockVault");
+    });
+  } else if (vaultKeyMissing) {
+    vscode.window.showWarningMessage("Claude Usage: the account vault key is not available in this editor, so saved accounts can't be read.", "Recover").then(choice => {
+      if (choice === "Recover") vscode.commands.executeCommand("claudeUsage.unlockVault");
+    });
+  }
+
+  startWatchers();
+  const pinWatcher = vscode.workspace.createFileSystemWatcher("**/.vscode/claude-account.json");
+  pinWatcher.onDidChange(resetWorkspacePin);
+  pinWatcher.onDidCreate(resetWorkspacePin);
+  pinWatcher.onDidDelete(resetWorkspacePin);
+  context.subscriptions.push(pinWatcher);
+  startCoordination();
+  offerInterruptedSwitchRollback();
   refreshAll();
-  timer = setInterval(refreshAll, POLL_MS);
+  scheduleNextPoll();
 }
 
 function deactivate() {
-  if (timer) clearInterval(timer);
+  disposed = true;
+  if (timer) clearTimeout(timer);
+  stopWatchers();
+  stopCoordination();
 }
 
 module.exports = { activate, deactivate };